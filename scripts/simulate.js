@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Batch simulator for balance tuning.
+ *
+ *   npm run simulate -- --games 200 --strategy greedy --difficulty all
+ *   npm run simulate -- --wild 0.05 --skull 0.01 --json
+ *
+ * Edit getSymbolCountForBoard / getColorCountForBoard and the scoring in src/constants.js,
+ * then re-run with the same --seed to compare on identical rune sequences.
+ */
+
+import { runBatch } from '../src/simulation.js';
+import { STRATEGIES } from '../src/strategies.js';
+import { DIFFICULTY_LEVELS, WILD_CHANCE, SKULL_CHANCE } from '../src/constants.js';
+import { normalizeSeed } from '../src/random.js';
+
+const USAGE = `Usage: node scripts/simulate.js [options]
+
+Options:
+  --games N          games per difficulty (default 100)
+  --strategy NAME    ${Object.keys(STRATEGIES).join(' | ')} (default greedy)
+  --difficulty NAME  ${Object.keys(DIFFICULTY_LEVELS).join(' | ')} | all (default all)
+  --seed SEED        first seed; game i uses seed + i (default 1)
+  --wild CHANCE      wild rune chance 0-1 (default ${WILD_CHANCE})
+  --skull CHANCE     skull rune chance 0-1 (default ${SKULL_CHANCE})
+  --max-moves N      stop a game after N moves (default 5000)
+  --json             print raw JSON instead of a table
+  --help             show this message`;
+
+function parseArgs(argv) {
+  const args = { games: 100, strategy: 'greedy', difficulty: 'all', seed: 1, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      const v = argv[++i];
+      if (v === undefined) throw new Error(`Missing value for ${arg}`);
+      return v;
+    };
+    switch (arg) {
+      case '--games': args.games = parseInt(value(), 10); break;
+      case '--strategy': args.strategy = value(); break;
+      case '--difficulty': args.difficulty = value(); break;
+      case '--seed': args.seed = normalizeSeed(value()); break;
+      case '--wild': args.wildChance = parseFloat(value()); break;
+      case '--skull': args.skullChance = parseFloat(value()); break;
+      case '--max-moves': args.maxMoves = parseInt(value(), 10); break;
+      case '--json': args.json = true; break;
+      case '--help': args.help = true; break;
+      default: throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  if (!Number.isInteger(args.games) || args.games < 1) throw new Error('--games must be a positive integer');
+  if (!STRATEGIES[args.strategy]) throw new Error(`Unknown strategy "${args.strategy}"`);
+  if (args.difficulty !== 'all' && !DIFFICULTY_LEVELS[args.difficulty]) {
+    throw new Error(`Unknown difficulty "${args.difficulty}"`);
+  }
+  return args;
+}
+
+function formatDistribution({ min, p10, median, mean, p90, max }) {
+  return `min ${min}  p10 ${p10}  median ${median}  mean ${mean}  p90 ${p90}  max ${max}`;
+}
+
+function printSummary(summary) {
+  const label = DIFFICULTY_LEVELS[summary.difficulty].label;
+  console.log(`\n${label} — ${summary.games} games, ${summary.strategy} strategy`);
+  console.log(`  score           ${formatDistribution(summary.score)}`);
+  console.log(`  boards cleared  ${formatDistribution(summary.boardsCleared)}`);
+  console.log(`  moves           ${formatDistribution(summary.moves)}`);
+  console.log(`  forge deaths    ${summary.forgeDeaths}/${summary.games}` +
+    (summary.moveLimitHits ? `  (${summary.moveLimitHits} hit the move limit)` : ''));
+  const p = summary.perGame;
+  console.log(`  per game        skulls ${p.skullsUsed}  specials ${p.specialsUsed}  wilds ${p.wildsPlaced}  discards ${p.discards}  lines ${p.linesCleared}`);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const difficulties = args.difficulty === 'all' ? Object.keys(DIFFICULTY_LEVELS) : [args.difficulty];
+  const summaries = difficulties.map((difficulty) => runBatch({
+    games: args.games,
+    baseSeed: args.seed,
+    strategy: args.strategy,
+    difficulty,
+    wildChance: args.wildChance,
+    skullChance: args.skullChance,
+    maxMoves: args.maxMoves,
+  }));
+
+  if (args.json) {
+    console.log(JSON.stringify(summaries, null, 2));
+    return;
+  }
+  console.log(`Wild chance ${args.wildChance ?? WILD_CHANCE}, skull chance ${args.skullChance ?? SKULL_CHANCE}, seeds ${args.seed}–${args.seed + args.games - 1}`);
+  summaries.forEach(printSummary);
+}
+
+main();
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Reference leaderboard server: shared high scores for a team or LAN, stored in a JSON file.
+ * Ranking and trimming use the same helpers as the browser (src/leaderboard.js), and every submitted
+ * score is re-played from its proof (src/verify.js) before it's accepted.
+ *
+ *   npm run leaderboard-server -- --port 8787 --file leaderboard-scores.json
+ *
+ * Then enter http://<host>:8787 as the leaderboard server on the game's home screen.
+ *
+ *   GET   /scores?mode=&difficulty=&period=&offset=&limit=   -> { entries, total }
+ *   GET   /scores/rank?mode=&difficulty=&period=&score=&id=  -> { rank }
+ *   POST  /scores   { score, name, mode, difficulty, proof, ... } -> { madeList, date, id, token }
+ *   PATCH /scores/:id   { token, name }                       -> { ok: true }
+ *
+ * The token returned by POST is the only way to rename an entry, so players can only rename their own.
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { rankEntries, rankOfScore, trimEntries, LEADERBOARD_PERIODS } from '../src/leaderboard.js';
+import { GAME_MODES, DIFFICULTY_LEVELS } from '../src/constants.js';
+import { verifyEntry } from '../src/verify.js';
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FILE = 'leaderboard-scores.json';
+const MAX_PAGE = 100;
+const MAX_BODY_BYTES = 512 * 1024; // the proof holds every move of the game
+const MAX_NAME_LENGTH = 20;
+const CLOCK_SKEW_MS = 5 * 60 * 1000; // how far in the future a client's date may be
+
+/** Entry fields a client may send, beyond score / name / date / mode / difficulty; verifyEntry() checks each against the replay */
+const NUMBER_FIELDS = ['board', 'boardsCleared', 'maxStreak', 'seconds'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Scores in a JSON file. Writes go through a temp file and are serialized, so a crash mid-write
+ * never leaves a half-written store. Changes go through update(), one at a time.
+ */
+export class FileScoreStore {
+  constructor(file) {
+    this.file = file;
+    this.entries = null;
+    this.writing = Promise.resolve();
+    this.updating = Promise.resolve();
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+    try {
+      const parsed = JSON.parse(await readFile(this.file, 'utf8'));
+      this.entries = Array.isArray(parsed.entries) ? parsed.entries : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.entries = [];
+    }
+    return this.entries;
+  }
+
+  async save(entries) {
+    this.entries = entries;
+    const data = JSON.stringify({ version: 1, entries });
+    this.writing = this.writing.then(async () => {
+      const temp = `${this.file}.tmp`;
+      await writeFile(temp, data);
+      await rename(temp, this.file);
+    });
+    return this.writing;
+  }
+
+  /**
+   * Change the entries. Each change runs after the previous one is saved and gets the entries it left,
+   * so two submissions arriving together can't both build on the same old list and drop one another.
+   * @param {(entries: object[]) => object[]} change - Returns the new entries; may throw to change nothing
+   */
+  update(change) {
+    const run = this.updating.then(async () => {
+      const entries = change(await this.load());
+      await this.save(entries);
+    });
+    this.updating = run.catch(() => {});
+    return run;
+  }
+}
+
+function cleanName(name) {
+  return String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Check a submitted entry, re-play its proof, and keep only known fields (the proof isn't stored)
+ */
+function validateEntry(body) {
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'Expected a JSON object');
+  if (!Number.isInteger(body.score) || body.score < 0) throw new HttpError(400, 'score must be a whole number');
+  if (body.mode !== null && body.mode !== undefined && !GAME_MODES[body.mode]) {
+    throw new HttpError(400, `Unknown mode "${body.mode}"`);
+  }
+  if (body.difficulty !== null && body.difficulty !== undefined && !DIFFICULTY_LEVELS[body.difficulty]) {
+    throw new HttpError(400, `Unknown difficulty "${body.difficulty}"`);
+  }
+  const { valid, reason } = verifyEntry(body);
+  if (!valid) throw new HttpError(422, `Score rejected: ${reason}`);
+  // Queued scores arrive late, so keep the client's date unless it's missing or in the future
+  const now = Date.now();
+  const clientDate = Date.parse(body.date);
+  const date = Number.isFinite(clientDate) && clientDate <= now + CLOCK_SKEW_MS
+    ? new Date(clientDate).toISOString()
+    : new Date(now).toISOString();
+
+  const entry = {
+    score: body.score,
+    date,
+    name: cleanName(body.name),
+    mode: body.mode ?? null,
+    difficulty: body.difficulty ?? null,
+  };
+  for (const field of NUMBER_FIELDS) {
+    if (Number.isFinite(body[field])) entry[field] = body[field];
+  }
+  if (body.undoUsed === true) entry.undoUsed = true;
+  if (body.preview === true) entry.preview = true;
+  return entry;
+}
+
+function parseFilter(params) {
+  const filter = {
+    mode: params.get('mode') || null,
+    difficulty: params.get('difficulty') || null,
+    period: params.get('period') || 'all',
+  };
+  if (!LEADERBOARD_PERIODS[filter.period]) throw new HttpError(400, `Unknown period "${filter.period}"`);
+  return filter;
+}
+
+function parseIntParam(params, key, fallback, max = Infinity) {
+  const value = Number.parseInt(params.get(key) ?? '', 10);
+  return Number.isFinite(value) && value >= 0 ? Math.min(value, max) : fallback;
+}
+
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request too large');
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+}
+
+/** Entries as the client sees them: no rename tokens */
+function publicEntry({ token, ...entry }) {
+  return entry;
+}
+
+/**
+ * Handle one API request
+ * @param {FileScoreStore} store
+ */
+async function route(store, req, url) {
+  if (req.method === 'GET' && url.pathname === '/scores') {
+    const ranked = rankEntries(await store.load(), parseFilter(url.searchParams));
+    const offset = parseIntParam(url.searchParams, 'offset', 0);
+    const limit = parseIntParam(url.searchParams, 'limit', 50, MAX_PAGE);
+    return { entries: ranked.slice(offset, offset + limit).map(publicEntry), total: ranked.length };
+  }
+
+  if (req.method === 'GET' && url.pathname === '/scores/rank') {
+    const ranked = rankEntries(await store.load(), parseFilter(url.searchParams));
+    const id = url.searchParams.get('id');
+    const index = id ? ranked.findIndex((e) => e.id === id) : -1;
+    const score = parseIntParam(url.searchParams, 'score', 0);
+    return { rank: index >= 0 ? index : rankOfScore(ranked, score) };
+  }
+
+  if (req.method === 'POST' && url.pathname === '/scores') {
+    const entry = {
+      ...validateEntry(await readBody(req)),
+      id: randomBytes(8).toString('hex'),
+      token: randomBytes(16).toString('hex'),
+    };
+    let madeList = false;
+    await store.update((entries) => {
+      const top = trimEntries([...entries, entry]);
+      madeList = top.includes(entry);
+      return top;
+    });
+    return madeList
+      ? { madeList, date: entry.date, id: entry.id, token: entry.token }
+      : { madeList, date: entry.date };
+  }
+
+  const renameMatch = url.pathname.match(/^\/scores\/([0-9a-f]+)$/);
+  if (req.method === 'PATCH' && renameMatch) {
+    const body = await readBody(req);
+    await store.update((entries) => {
+      const entry = entries.find((e) => e.id === renameMatch[1]);
+      if (!entry) throw new HttpError(404, 'No such entry');
+      if (typeof body.token !== 'string' || body.token !== entry.token) throw new HttpError(403, 'Wrong token');
+      return entries.map((e) => (e === entry ? { ...e, name: cleanName(body.name) } : e));
+    });
+    return { ok: true };
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+/**
+ * Create (but don't start) the server. Listen on port 0 for a random free port, e.g. in tests.
+ * @param {{ file?: string, store?: FileScoreStore }} options
+ * @returns {import('node:http').Server}
+ */
+export function createLeaderboardServer({ file = DEFAULT_FILE, store = new FileScoreStore(file) } = {}) {
+  return createServer(async (req, res) => {
+    // The game is served from another origin (Vite, Netlify), so allow cross-origin calls
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    let status = 200;
+    let body;
+    try {
+      body = await route(store, req, new URL(req.url, 'http://localhost'));
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500;
+      body = { error: err instanceof HttpError ? err.message : 'Server error' };
+      if (status === 500) console.error(err);
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  });
+}
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, file: DEFAULT_FILE, host: '0.0.0.0' };
+  for (let i = 0; i < argv.length; i++) {
+    const value = () => argv[++i];
+    switch (argv[i]) {
+      case '--port': args.port = Number.parseInt(value(), 10); break;
+      case '--file': args.file = value(); break;
+      case '--host': args.host = value(); break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error('Usage: leaderboard-server [--port 8787] [--host 0.0.0.0] [--file leaderboard-scores.json]');
+    process.exit(1);
+  }
+  const server = createLeaderboardServer({ file: args.file });
+  server.listen(args.port, args.host, () => {
+    console.log(`Leaderboard server on http://${args.host}:${server.address().port}, scores in ${args.file}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  main();
+}
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Race relay server: rooms of 2-4 players racing on the same seed. Every client runs its own game;
+ * the server owns the room - who's in it, the seed, when the race starts, where garbage goes - and
+ * keeps the seat of a player whose connection drops so they can rejoin.
+ *
+ *   npm run race-server -- --port 8788
+ *
+ * Then pick "Race" on the game's home screen and enter ws://<host>:8788 as the race server.
+ *
+ * Messages are JSON objects with a type (src/race.js is the client):
+ *   client -> server  join { room, name, playerId? }   start { difficulty }   progress { score, board, ... }
+ *                     garbage { amount }   over { score }   leave
+ *   server -> client  room { room, playerId, hostId, status, players }   start { seed, difficulty }
+ *                     progress { playerId, ... }   garbage { from, amount }   results { standings }   error { message }
+ */
+
+import { randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { DIFFICULTY_LEVELS } from '../src/constants.js';
+
+const DEFAULT_PORT = 8788;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+const MAX_GARBAGE = 4; // per message: a cross clear sends 2, nobody needs more
+const MAX_NAME_LENGTH = 20;
+const MAX_MESSAGE_BYTES = 8 * 1024;
+const REJOIN_GRACE_MS = 60 * 1000; // a dropped racer's seat is kept this long
+const HEARTBEAT_MS = 15 * 1000;
+
+const ROOM_CODE = /^[A-Za-z0-9-]{1,16}$/;
+
+function send(socket, type, data = {}) {
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type, ...data }));
+}
+
+/** What other players see of a racer */
+function publicPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    connected: player.connected,
+    finished: player.finished,
+    progress: player.progress,
+  };
+}
+
+/**
+ * One room. Players keep their id (and seat) across reconnects; the socket comes and goes.
+ */
+class Room {
+  constructor(code, onEmpty) {
+    this.code = code;
+    this.onEmpty = onEmpty;
+    this.players = new Map();
+    this.hostId = null;
+    this.status = 'lobby'; // lobby -> racing -> finished
+    this.seed = null;
+    this.difficulty = null;
+  }
+
+  broadcast(type, data, except = null) {
+    for (const player of this.players.values()) {
+      if (player !== except) send(player.socket, type, data);
+    }
+  }
+
+  /** Everyone gets the player list, with their own id */
+  broadcastRoom() {
+    const players = [...this.players.values()].map(publicPlayer);
+    for (const player of this.players.values()) {
+      send(player.socket, 'room', {
+        room: this.code,
+        playerId: player.id,
+        hostId: this.hostId,
+        status: this.status,
+        players,
+      });
+    }
+  }
+
+  join(socket, { name, playerId }) {
+    const returning = playerId ? this.players.get(playerId) : null;
+    if (returning) {
+      clearTimeout(returning.dropTimer);
+      returning.socket?.terminate();
+      Object.assign(returning, { socket, connected: true, dropTimer: null });
+      this.broadcastRoom();
+      if (this.status !== 'lobby') {
+        send(socket, 'start', { seed: this.seed, difficulty: this.difficulty, rejoined: true });
+        for (const other of this.players.values()) {
+          if (other !== returning && other.progress) send(socket, 'progress', { playerId: other.id, ...other.progress });
+        }
+        if (returning.pendingGarbage > 0) {
+          send(socket, 'garbage', { from: null, amount: returning.pendingGarbage });
+          returning.pendingGarbage = 0;
+        }
+        if (this.status === 'finished') send(socket, 'results', { standings: this.standings() });
+      }
+      return returning;
+    }
+
+    // An unknown id in the lobby is a seat that lapsed before the race began: just join again
+    if (playerId && this.status !== 'lobby') throw new Error('Your seat in that race has expired');
+    if (this.status !== 'lobby') throw new Error('That race has already started');
+    if (this.players.size >= MAX_PLAYERS) throw new Error(`That room is full (${MAX_PLAYERS} players)`);
+    const player = {
+      id: randomBytes(8).toString('hex'),
+      name: String(name ?? '').trim().slice(0, MAX_NAME_LENGTH) || `Racer ${this.players.size + 1}`,
+      socket,
+      connected: true,
+      finished: false,
+      progress: null,
+      pendingGarbage: 0,
+      dropTimer: null,
+    };
+    this.players.set(player.id, player);
+    this.hostId ??= player.id;
+    this.broadcastRoom();
+    return player;
+  }
+
+  start(player, { difficulty }) {
+    if (player.id !== this.hostId) throw new Error('Only the host can start the race');
+    if (this.status !== 'lobby') throw new Error('The race has already started');
+    if (this.players.size < MIN_PLAYERS) throw new Error(`A race needs at least ${MIN_PLAYERS} players`);
+    if (!DIFFICULTY_LEVELS[difficulty]) throw new Error(`Unknown difficulty "${difficulty}"`);
+    this.status = 'racing';
+    this.seed = randomBytes(4).readUInt32LE(0);
+    this.difficulty = difficulty;
+    this.broadcastRoom();
+    this.broadcast('start', { seed: this.seed, difficulty });
+  }
+
+  progress(player, { score, board, forge, forgeCapacity, grid }) {
+    if (this.status === 'lobby') return;
+    player.progress = { score, board, forge, forgeCapacity, grid };
+    this.broadcast('progress', { playerId: player.id, ...player.progress }, player);
+  }
+
+  /** Garbage goes to every racer still playing; those offline get it when they rejoin */
+  garbage(player, { amount }) {
+    if (this.status !== 'racing' || player.finished) return;
+    const count = Math.max(1, Math.min(MAX_GARBAGE, Math.floor(Number(amount) || 1)));
+    for (const other of this.players.values()) {
+      if (other === player || other.finished) continue;
+      if (other.connected) send(other.socket, 'garbage', { from: player.id, amount: count });
+      else other.pendingGarbage += count;
+    }
+  }
+
+  finish(player, score) {
+    if (this.status !== 'racing' || player.finished) return;
+    player.finished = true;
+    if (Number.isFinite(score)) player.progress = { ...player.progress, score };
+    this.broadcastRoom();
+    if ([...this.players.values()].every((p) => p.finished)) {
+      this.status = 'finished';
+      this.broadcastRoom();
+      this.broadcast('results', { standings: this.standings() });
+    }
+  }
+
+  /** Best score first */
+  standings() {
+    return [...this.players.values()]
+      .map(publicPlayer)
+      .sort((a, b) => (b.progress?.score ?? 0) - (a.progress?.score ?? 0));
+  }
+
+  /**
+   * A socket closed. Unless the player chose to leave, their seat - in the lobby or mid-race - waits
+   * for a rejoin; if they don't come back a lobby seat is freed and a race ends with the score they had.
+   */
+  disconnect(player, { left = false } = {}) {
+    if (player.socket === null) return;
+    player.socket = null;
+    player.connected = false;
+    if (left) {
+      this.expire(player);
+    } else if (this.status !== 'finished') {
+      player.dropTimer = setTimeout(() => {
+        player.dropTimer = null;
+        this.expire(player);
+        this.broadcastRoom();
+        this.cleanUp();
+      }, REJOIN_GRACE_MS);
+    }
+    this.broadcastRoom();
+    this.cleanUp();
+  }
+
+  /** Give up on a player who left or didn't rejoin in time */
+  expire(player) {
+    if (this.status === 'lobby') {
+      this.players.delete(player.id);
+      if (this.hostId === player.id) this.hostId = this.players.keys().next().value ?? null;
+    } else {
+      this.finish(player);
+    }
+  }
+
+  /** Forget the room once nobody is connected or waiting to rejoin */
+  cleanUp() {
+    const waiting = [...this.players.values()].some((p) => p.connected || p.dropTimer);
+    if (!waiting) this.onEmpty(this);
+  }
+
+  close() {
+    for (const player of this.players.values()) clearTimeout(player.dropTimer);
+  }
+}
+
+/**
+ * Create (but don't start) the relay. Listen on port 0 for a random free port, e.g. in tests.
+ * @returns {{ server: WebSocketServer, rooms: Map<string, Room>, close: () => Promise<void> }}
+ */
+export function createRaceServer(options = {}) {
+  const rooms = new Map();
+  const server = new WebSocketServer({ ...options, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('connection', (socket) => {
+    let room = null;
+    let player = null;
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString('utf8'));
+      } catch {
+        send(socket, 'error', { message: 'Invalid JSON' });
+        return;
+      }
+      try {
+        if (message?.type === 'join') {
+          if (player) throw new Error('Already in a room');
+          const code = String(message.room ?? '').toUpperCase();
+          if (!ROOM_CODE.test(code)) throw new Error('Room codes are 1-16 letters, digits or dashes');
+          const joining = rooms.get(code) ?? new Room(code, (empty) => {
+            empty.close();
+            rooms.delete(empty.code);
+          });
+          player = joining.join(socket, message);
+          room = joining;
+          rooms.set(code, room);
+          return;
+        }
+        if (!player) throw new Error('Join a room first');
+        switch (message.type) {
+          case 'start': room.start(player, message); break;
+          case 'progress': room.progress(player, message); break;
+          case 'garbage': room.garbage(player, message); break;
+          case 'over': room.finish(player, message.score); break;
+          case 'leave':
+            room.disconnect(player, { left: true });
+            player = null;
+            room = null;
+            break;
+          default: throw new Error(`Unknown message type "${message?.type}"`);
+        }
+      } catch (err) {
+        send(socket, 'error', { message: err.message });
+      }
+    });
+
+    socket.on('close', () => {
+      // A rejoin on a new socket has already taken this player over
+      if (player && player.socket === socket) room.disconnect(player);
+    });
+  });
+
+  // Connections that stop answering pings (sleeping laptops, dropped Wi-Fi) are closed, which frees or holds their seat
+  const heartbeat = setInterval(() => {
+    for (const socket of server.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+
+  return {
+    server,
+    rooms,
+    close: () => new Promise((resolve) => {
+      clearInterval(heartbeat);
+      for (const room of rooms.values()) room.close();
+      for (const socket of server.clients) socket.terminate();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, host: '0.0.0.0' };
+  for (let i = 0; i < argv.length; i++) {
+    const value = () => argv[++i];
+    switch (argv[i]) {
+      case '--port': args.port = Number.parseInt(value(), 10); break;
+      case '--host': args.host = value(); break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error('Usage: race-server [--port 8788] [--host 0.0.0.0]');
+    process.exit(1);
+  }
+  const { server } = createRaceServer({ port: args.port, host: args.host });
+  server.on('listening', () => {
+    console.log(`Race server on ws://${args.host}:${server.address().port}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  main();
+}
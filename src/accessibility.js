@@ -0,0 +1,267 @@
+/**
+ * Screen reader support. The board is a canvas, so next to it sits a text grid describing every square,
+ * live regions read out what each move did, and findLegalSquares() answers "where can this rune go?".
+ */
+
+import { CellState, getSpecialKind, isTargetedRune } from './game.js';
+
+const SPECIAL_NAMES = {
+  bomb: 'bomb',
+  transmuter: 'transmuter',
+  line: 'line rune',
+  stone: "philosopher's stone",
+};
+
+/** Seconds left on a time-mode board worth a warning; the last two interrupt */
+const TIME_WARNINGS = [30, 10, 5];
+const URGENT_SECONDS = 10;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * "crimson aries", "wild", "skull", "azure transmuter", ...
+ */
+export function describeRune(rune) {
+  if (!rune) return 'no rune';
+  if (rune.isWild) return 'wild';
+  if (rune.isSkull) return 'skull';
+  const kind = getSpecialKind(rune);
+  if (kind === 'transmuter') return `${rune.color} transmuter`;
+  if (kind) return SPECIAL_NAMES[kind];
+  return `${rune.color} ${rune.symbol}`;
+}
+
+/** 1-based, as a player would count */
+export function describeSquare(x, y) {
+  return `row ${y + 1}, column ${x + 1}`;
+}
+
+/**
+ * What's on a square: "hole", "empty gold", "crimson aries on lead, 2 layers", ...
+ */
+export function describeCell(gameState, x, y) {
+  const cell = gameState.getCell(x, y);
+  if (!gameState.isPlayable(cell)) return 'hole';
+  let ground = 'gold';
+  if (cell.state === CellState.LEAD) ground = cell.layers > 1 ? `lead, ${cell.layers} layers` : 'lead';
+  return cell.rune ? `${describeRune(cell.rune)} on ${ground}` : `empty ${ground}`;
+}
+
+/**
+ * Squares the current rune can be placed on (canPlaceAt), or for a skull or special, used on
+ * @returns {{ x: number, y: number }[]} In reading order
+ */
+export function findLegalSquares(gameState) {
+  const targeted = isTargetedRune(gameState.currentRune);
+  const squares = [];
+  for (let y = 0; y < gameState.gridHeight; y++) {
+    for (let x = 0; x < gameState.gridWidth; x++) {
+      if (targeted ? gameState.canActAt(x, y) : gameState.canPlaceAt(x, y)) squares.push({ x, y });
+    }
+  }
+  return squares;
+}
+
+/**
+ * "The azure leo can go on 2 squares: row 1, column 3; row 2, column 4."
+ */
+export function describeLegalSquares(gameState) {
+  const rune = gameState.currentRune;
+  if (!rune) return 'There is no rune to place.';
+  const squares = findLegalSquares(gameState);
+  const name = `The ${describeRune(rune)}`;
+  if (squares.length === 0) return `${name} can't go anywhere. Discard it to the Forge.`;
+  const verb = isTargetedRune(rune) ? 'can be used on' : 'can go on';
+  return `${name} ${verb} ${plural(squares.length, 'square')}: ${squares.map((s) => describeSquare(s.x, s.y)).join('; ')}.`;
+}
+
+/**
+ * Speaks through two live regions: polite for the play-by-play, assertive for time running out and game over.
+ * Messages given in the same tick are read as one.
+ */
+export class Announcer {
+  constructor(politeEl, assertiveEl) {
+    this.regions = { polite: politeEl, assertive: assertiveEl };
+    this.pending = { polite: [], assertive: [] };
+  }
+
+  announce(message, { assertive = false } = {}) {
+    if (!message) return;
+    const priority = assertive ? 'assertive' : 'polite';
+    const pending = this.pending[priority];
+    pending.push(message);
+    if (pending.length > 1) return;
+    // Emptied first and refilled a moment later, so the same words twice in a row are still read
+    this.regions[priority].textContent = '';
+    setTimeout(() => {
+      this.regions[priority].textContent = pending.join(' ');
+      this.pending[priority] = [];
+    }, 50);
+  }
+}
+
+/**
+ * Reads out one game's events: placements and what they scored, row/column clears, the Forge filling,
+ * the next rune, board changes and the board timer running low
+ */
+export class GameAnnouncer {
+  /**
+   * @param {GameState} gameState
+   * @param {Announcer} announcer
+   */
+  constructor(gameState, announcer) {
+    this.gameState = gameState;
+    this.announcer = announcer;
+    this.timeWarned = null; // last TIME_WARNINGS entry read out on this board
+    this.removeListener = gameState.addListener((event) => this.handleEvent(event));
+  }
+
+  detach() {
+    this.removeListener();
+  }
+
+  describeForge() {
+    const { forge, forgeCapacity } = this.gameState;
+    return `Forge ${forge.length} of ${forgeCapacity}${forge.length >= forgeCapacity ? ', full' : ''}.`;
+  }
+
+  handleEvent(event) {
+    const parts = [];
+    switch (event.type) {
+      case 'place': {
+        parts.push(`Placed ${describeRune(event.rune)} on ${describeSquare(event.x, event.y)}, ${plural(event.points, 'point')}.`);
+        const lines = [
+          event.rowsCleared > 0 && plural(event.rowsCleared, 'row'),
+          event.columnsCleared > 0 && plural(event.columnsCleared, 'column'),
+        ].filter(Boolean);
+        if (lines.length > 0) parts.push(`Cleared ${lines.join(' and ')}.`);
+        break;
+      }
+      case 'discard':
+        parts.push(`Discarded ${describeRune(event.rune)}.`);
+        break;
+      case 'skull':
+        parts.push(`Skull removed the rune on ${describeSquare(event.x, event.y)}.`);
+        break;
+      case 'special':
+        parts.push(`Used the ${SPECIAL_NAMES[event.kind]} on ${describeSquare(event.x, event.y)}, ${plural(event.points, 'point')}.`);
+        break;
+      case 'boardComplete':
+        this.announcer.announce(`Board ${event.board} complete, ${plural(event.points, 'bonus point')}.`);
+        return;
+      case 'newBoard':
+        this.timeWarned = null;
+        parts.push(`Board ${event.board}.`);
+        if (this.gameState.gameMode === 'time') parts.push(`${this.gameState.timePerBoard} seconds.`);
+        this.announcer.announce(parts.join(' '));
+        return;
+      case 'garbage':
+        this.announcer.announce(`${plural(event.cells.length, 'square')} took a layer of lead. ${this.describeForge()}`);
+        return;
+      default:
+        return;
+    }
+    parts.push(this.describeForge(), `Next: ${describeRune(this.gameState.currentRune)}.`);
+    this.announcer.announce(parts.join(' '));
+  }
+
+  /**
+   * Time mode: warn as the board timer passes each of TIME_WARNINGS. Call every frame.
+   */
+  checkTime() {
+    const remaining = this.gameState.getBoardTimeRemaining();
+    if (remaining === null || remaining <= 0) return;
+    const warning = TIME_WARNINGS.filter((s) => remaining <= s).pop();
+    if (warning === undefined || warning === this.timeWarned) return;
+    this.timeWarned = warning;
+    this.announcer.announce(`${plural(remaining, 'second')} left.`, { assertive: remaining <= URGENT_SECONDS });
+  }
+}
+
+/**
+ * The board as a grid of text squares for screen readers, kept in step with the canvas.
+ * Focus follows the keyboard cursor; focusing or activating a square acts on it like the canvas would.
+ */
+export class AccessibleBoard {
+  /**
+   * @param {HTMLElement} container - role="grid" element next to the canvas
+   * @param {object} handlers
+   * @param {(x: number, y: number) => void} handlers.onFocusSquare - Move the keyboard cursor here
+   * @param {(x: number, y: number) => void} handlers.onActivate - Place (or use) the current rune here
+   */
+  constructor(container, { onFocusSquare, onActivate }) {
+    this.container = container;
+    this.gameState = null;
+    this.cells = []; // [y][x] gridcell elements
+    container.onfocusin = (e) => {
+      const square = this.squareOf(e.target);
+      if (square) onFocusSquare(square.x, square.y);
+    };
+    // Screen readers' browse mode activates a square with a click
+    container.onclick = (e) => {
+      const square = this.squareOf(e.target);
+      if (square) onActivate(square.x, square.y);
+    };
+  }
+
+  squareOf(el) {
+    const cell = el.closest?.('[data-x]');
+    return cell ? { x: Number(cell.dataset.x), y: Number(cell.dataset.y) } : null;
+  }
+
+  /**
+   * Show another game (versus turn) or a new board; rebuilds the squares when the size changes.
+   * @param {string} [label] - Accessible name of the grid, e.g. "Player 1's board"
+   */
+  setGame(gameState, label = 'Board') {
+    this.gameState = gameState;
+    if (this.container.getAttribute('aria-label') !== label) this.container.setAttribute('aria-label', label);
+    const { gridWidth, gridHeight } = gameState;
+    if (this.cells.length === gridHeight && this.cells[0]?.length === gridWidth) return;
+    this.container.innerHTML = '';
+    this.cells = [];
+    for (let y = 0; y < gridHeight; y++) {
+      const row = document.createElement('div');
+      row.setAttribute('role', 'row');
+      const cells = [];
+      for (let x = 0; x < gridWidth; x++) {
+        const cell = document.createElement('div');
+        cell.setAttribute('role', 'gridcell');
+        cell.tabIndex = -1;
+        cell.dataset.x = String(x);
+        cell.dataset.y = String(y);
+        row.appendChild(cell);
+        cells.push(cell);
+      }
+      this.container.appendChild(row);
+      this.cells.push(cells);
+    }
+  }
+
+  /**
+   * Refresh every square's text and which square is in the tab order. Only changed text is written.
+   * @param {{ x: number, y: number } | null} cursor - The keyboard cursor
+   */
+  update(cursor) {
+    const { gameState } = this;
+    if (!gameState || this.cells.length !== gameState.gridHeight) return;
+    const focusable = cursor ?? { x: 0, y: 0 };
+    this.cells.forEach((row, y) => row.forEach((cell, x) => {
+      const legal = gameState.canActAt(x, y) ? ', playable' : '';
+      const text = `${describeSquare(x, y)}: ${describeCell(gameState, x, y)}${legal}`;
+      if (cell.textContent !== text) cell.textContent = text;
+      const tabIndex = x === focusable.x && y === focusable.y ? 0 : -1;
+      if (cell.tabIndex !== tabIndex) cell.tabIndex = tabIndex;
+    }));
+  }
+
+  /**
+   * Move focus to a square, if focus is already on the grid
+   * @returns {boolean} Whether it moved (the screen reader then reads the square)
+   */
+  focusSquare(x, y) {
+    if (!this.container.contains(document.activeElement)) return false;
+    this.cells[y]?.[x]?.focus();
+    return true;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Achievements: one-off unlocks earned from game events, persisted in localStorage.
+ * An AchievementTracker listens to a GameState (see GameState.addListener) and reports new unlocks.
+ */
+
+import { RANKINGS } from './constants.js';
+import { countOpenCells } from './strategies.js';
+
+const STORAGE_KEY = 'allthatglitters_achievements';
+
+/** Rank id from its title, e.g. "Wizard 3rd class" -> "rank-wizard-3rd-class" */
+function rankId(title) {
+  return `rank-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+/** Every rank above the one you start in is an achievement */
+const RANK_ACHIEVEMENTS = RANKINGS.slice(1).map(([min, , title]) => ({
+  id: rankId(title),
+  name: title,
+  description: `Reach ${min.toLocaleString('en-US')} points`,
+  minScore: min,
+}));
+
+export const ACHIEVEMENTS = [
+  { id: 'first-board', name: 'First Gold', description: 'Clear your first board' },
+  { id: 'cross-clear', name: 'Crossroads', description: 'Clear a row and a column with one placement' },
+  { id: 'clean-board', name: 'Waste Not', description: 'Clear a board without discarding' },
+  { id: 'full-forge', name: 'Under Pressure', description: 'Place a rune while the Forge is full' },
+  { id: 'skull-rescue', name: 'Grave Robber', description: 'Use a skull to open up a board no rune could be placed on' },
+  ...RANK_ACHIEVEMENTS,
+];
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find((a) => a.id === id) ?? null;
+}
+
+/**
+ * Unlocked achievements: id -> ISO date of the unlock
+ */
+export function loadAchievements() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    const parsed = data ? JSON.parse(data) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record an unlock. Returns false if it was already unlocked.
+ */
+export function unlockAchievement(id) {
+  const unlocked = loadAchievements();
+  if (unlocked[id]) return false;
+  unlocked[id] = new Date().toISOString();
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(unlocked));
+  } catch {
+    // Storage unavailable - the unlock lasts for this session only
+  }
+  return true;
+}
+
+/**
+ * Watches one game and unlocks achievements as its events come in
+ */
+export class AchievementTracker {
+  /**
+   * @param {GameState} gameState
+   * @param {(achievement: object) => void} onUnlock - Called once per newly unlocked achievement
+   */
+  constructor(gameState, onUnlock) {
+    this.gameState = gameState;
+    this.onUnlock = onUnlock;
+    this.unlocked = loadAchievements();
+    this.boardDiscards = gameState.discards; // discards made before this board started
+    this.wasDead = this.isBoardDead();
+    this.removeListener = gameState.addListener((event) => this.handleEvent(event));
+  }
+
+  detach() {
+    this.removeListener();
+  }
+
+  /**
+   * Runes on the board, but no empty cell next to them that any ordinary rune could fill
+   */
+  isBoardDead() {
+    if (this.gameState.countRunesOnBoard() === 0) return false;
+    return countOpenCells(this.gameState).open === 0;
+  }
+
+  handleEvent(event) {
+    const { gameState } = this;
+    switch (event.type) {
+      case 'place':
+        if (event.rowsCleared > 0 && event.columnsCleared > 0) this.unlock('cross-clear');
+        if (event.forgeWasFull) this.unlock('full-forge');
+        break;
+      case 'skull':
+        if (this.wasDead && !this.isBoardDead()) this.unlock('skull-rescue');
+        break;
+      case 'boardComplete':
+        this.unlock('first-board');
+        if (gameState.discards === this.boardDiscards) this.unlock('clean-board');
+        break;
+      case 'newBoard':
+        this.boardDiscards = gameState.discards;
+        break;
+      default:
+        break;
+    }
+    for (const rank of RANK_ACHIEVEMENTS) {
+      if (gameState.score >= rank.minScore) this.unlock(rank.id);
+    }
+    this.wasDead = this.isBoardDead();
+  }
+
+  unlock(id) {
+    if (this.unlocked[id]) return;
+    this.unlocked[id] = new Date().toISOString();
+    if (unlockAchievement(id)) this.onUnlock?.(getAchievement(id));
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Tweens and the reduced-motion switch. A Timeline holds the running tweens of one renderer; each frame
+ * update() moves them on and draw() paints the ones that draw themselves. Blocking tweens (a row clearing,
+ * a skull striking) hold up input until they finish, so a tap never lands on a board still changing.
+ */
+
+export const Easing = {
+  linear: (t) => t,
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  easeInCubic: (t) => t ** 3,
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  // Overshoots a little before settling: runes landing
+  easeOutBack: (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2,
+};
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+let motionSetting = 'auto'; // 'auto' follows the system, 'on' always reduces, 'off' never does
+let reducedMotion = false;
+
+function systemPrefersReducedMotion() {
+  return typeof window !== 'undefined' && Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+}
+
+function updateReducedMotion() {
+  reducedMotion = motionSetting === 'on' || (motionSetting === 'auto' && systemPrefersReducedMotion());
+  // CSS animations and transitions in the HUD check the same class
+  if (typeof document !== 'undefined') document.documentElement.classList.toggle('reduce-motion', reducedMotion);
+}
+
+if (typeof window !== 'undefined') {
+  window.matchMedia?.(REDUCED_MOTION_QUERY).addEventListener?.('change', updateReducedMotion);
+}
+
+/**
+ * @param {'auto' | 'on' | 'off'} setting - The reducedMotion setting
+ */
+export function setReducedMotion(setting) {
+  motionSetting = setting;
+  updateReducedMotion();
+}
+
+/** No tweens, no pulsing: things just change */
+export function isReducedMotion() {
+  return reducedMotion;
+}
+
+/**
+ * Running tweens. A tween goes from 0 to 1 over its duration, after an optional delay,
+ * its value shaped by its easing.
+ */
+export class Timeline {
+  /**
+   * @param {() => number} [now] - Clock in ms
+   */
+  constructor(now = () => performance.now()) {
+    this.now = now;
+    this.tweens = [];
+  }
+
+  /**
+   * Start a tween. Ignored with reduced motion.
+   * @param {object} tween
+   * @param {number} tween.duration - ms
+   * @param {number} [tween.delay] - ms before it starts
+   * @param {(t: number) => number} [tween.easing]
+   * @param {string} [tween.key] - Look the value up with get(); a new tween with the same key replaces the old
+   * @param {boolean} [tween.blocking] - Hold up input while it runs
+   * @param {(value: number, ...args) => void} [tween.draw] - Paints it; gets draw()'s arguments
+   * @returns {object | null} The tween, or null when motion is reduced
+   */
+  add({ duration, delay = 0, easing = Easing.linear, key = null, blocking = false, draw = null }) {
+    if (reducedMotion) return null;
+    if (key) this.tweens = this.tweens.filter((t) => t.key !== key);
+    const tween = { duration, easing, key, blocking, draw, start: this.now() + delay, value: null, done: false };
+    this.tweens.push(tween);
+    return tween;
+  }
+
+  /**
+   * Move every tween on to the current time. Finished tweens keep their final value for one more frame.
+   */
+  update() {
+    const time = this.now();
+    this.tweens = this.tweens.filter((t) => !t.done);
+    for (const tween of this.tweens) {
+      const elapsed = time - tween.start;
+      if (elapsed < 0) continue;
+      const progress = Math.min(1, elapsed / tween.duration);
+      tween.value = tween.easing(progress);
+      tween.done = progress >= 1;
+    }
+  }
+
+  /** Current value of the keyed tween, or null if there's none or it hasn't started */
+  get(key) {
+    return this.tweens.find((t) => t.key === key)?.value ?? null;
+  }
+
+  /** Paint the started tweens that have a draw callback, in the order they were added */
+  draw(...args) {
+    for (const tween of this.tweens) {
+      if (tween.draw && tween.value !== null) tween.draw(tween.value, ...args);
+    }
+  }
+
+  /** A blocking tween is still waiting or running */
+  isBlocking() {
+    return this.tweens.some((t) => t.blocking && !t.done);
+  }
+
+  clear() {
+    this.tweens = [];
+  }
+}
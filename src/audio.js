@@ -84,6 +84,90 @@ export function playSkullSound() {
   playAudioWithFallback('sounds/skull.mp3');
 }
 
+/** Low noise burst for a bomb */
+export function playBombSound() {
+  ensureResumed();
+  const ctx = getAudioContext();
+  const now = ctx.currentTime;
+
+  const length = Math.floor(ctx.sampleRate * 0.4);
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+  }
+  const noise = ctx.createBufferSource();
+  noise.buffer = buffer;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(1200, now);
+  filter.frequency.exponentialRampToValueAtTime(120, now + 0.35);
+  const gainNode = ctx.createGain();
+  gainNode.gain.setValueAtTime(0.35, now);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.4);
+
+  noise.connect(filter);
+  filter.connect(gainNode);
+  gainNode.connect(ctx.destination);
+  noise.start(now);
+  noise.stop(now + 0.4);
+}
+
+/** Bubbling upward sweep for a transmuter */
+export function playTransmuteSound() {
+  ensureResumed();
+  const ctx = getAudioContext();
+  const now = ctx.currentTime;
+
+  const osc = ctx.createOscillator();
+  const gainNode = ctx.createGain();
+  const wobble = ctx.createOscillator();
+  const wobbleGain = ctx.createGain();
+  wobble.frequency.value = 18;
+  wobbleGain.gain.value = 40;
+  wobble.connect(wobbleGain);
+  wobbleGain.connect(osc.frequency);
+
+  osc.type = 'sine';
+  osc.frequency.setValueAtTime(300, now);
+  osc.frequency.exponentialRampToValueAtTime(900, now + 0.3);
+  gainNode.gain.setValueAtTime(0, now);
+  gainNode.gain.linearRampToValueAtTime(0.15, now + 0.03);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+
+  osc.connect(gainNode);
+  gainNode.connect(ctx.destination);
+  osc.start(now);
+  wobble.start(now);
+  osc.stop(now + 0.36);
+  wobble.stop(now + 0.36);
+}
+
+/** Quick rising run for a line rune gilding a row */
+export function playLineSound() {
+  const freqs = [523.25, 587.33, 659.25, 783.99, 880]; // C5 D5 E5 G5 A5
+  freqs.forEach((freq, i) => {
+    setTimeout(() => playTone(freq, 0.1, 'triangle', 0.12, 0.005, 0.08), i * 40);
+  });
+}
+
+/** Shimmering chime for the philosopher's stone */
+export function playStoneSound() {
+  playTone(1046.5, 0.5, 'sine', 0.15, 0.01, 0.45); // C6
+  playTone(1567.98, 0.5, 'sine', 0.08, 0.02, 0.4); // G6
+}
+
+/** Sound for a special rune by kind (see SPECIAL_RUNES in game.js) */
+export function playSpecialSound(kind) {
+  const sounds = {
+    bomb: playBombSound,
+    transmuter: playTransmuteSound,
+    line: playLineSound,
+    stone: playStoneSound,
+  };
+  sounds[kind]?.();
+}
+
 /** Metallic clink for contributing to the forge */
 export function playForgeSound() {
   ensureResumed();
@@ -72,15 +72,53 @@ export const SKILL_LEVELS = {
 export const GAME_MODES = {
   strategic: 'strategic',
   time: 'time',
+  puzzle: 'puzzle',
 };
 
-// Difficulty levels: startBoard and time limit per board (seconds, time mode only)
+// Undo history depth per mode: unlimited when planning, a few steps against the clock (0 disables)
+export const UNDO_LIMITS = {
+  strategic: Infinity,
+  time: 3,
+  puzzle: Infinity,
+};
+
+// Seconds before the Hint button can be used again
+export const HINT_COOLDOWN_SECONDS = 20;
+
+// Difficulty levels: startBoard, time limit per board (seconds, time mode only)
+// and how many upcoming runes the preview shows (0 hides it)
 export const DIFFICULTY_LEVELS = {
-  easy: { startBoard: 1, timePerBoard: 90, label: 'Easy' },
-  medium: { startBoard: 4, timePerBoard: 60, label: 'Medium' },
-  difficult: { startBoard: 7, timePerBoard: 45, label: 'Difficult' },
+  easy: { startBoard: 1, timePerBoard: 90, previewSize: 3, label: 'Easy' },
+  medium: { startBoard: 4, timePerBoard: 60, previewSize: 2, label: 'Medium' },
+  difficult: { startBoard: 7, timePerBoard: 45, previewSize: 0, label: 'Difficult' },
 };
 
+// Forge slots in every standard game
+export const FORGE_CAPACITY = 3;
+
+/**
+ * GameState config for a standard (leaderboard) game. Shared by the game and the score verifier,
+ * so a verified score is always checked against the rules it was played under.
+ * @param {string} mode - GAME_MODES key (strategic or time)
+ * @param {string} difficulty - DIFFICULTY_LEVELS key
+ * @param {{ showPreview?: boolean, seed?: number }} [options]
+ */
+export function getGameConfig(mode, difficulty, { showPreview = true, seed } = {}) {
+  const diff = DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS.easy;
+  const isTimeMode = mode === GAME_MODES.time;
+  return {
+    forgeCapacity: FORGE_CAPACITY,
+    skillLevel: diff.startBoard,
+    startBoard: diff.startBoard,
+    gameMode: mode,
+    timePerBoard: isTimeMode ? diff.timePerBoard : 60,
+    difficulty,
+    undoLimit: UNDO_LIMITS[mode] ?? 0,
+    previewSize: showPreview ? diff.previewSize : 0,
+    seed,
+  };
+}
+
 // Rankings from spec (score range -> title)
 export const RANKINGS = [
   [0, 399, 'Cursed'],
@@ -116,8 +154,10 @@ export function getRanking(score) {
 
 // Scoring: gold vs lead placement, row clear, board clear
 // Placing on already-gold cell = 1 pt; placing on lead cell = 5 pts (and turns it gold)
+// Placing on lead pays 5 per layer still on the cell (double lead 10, triple 15)
 export function getPlacementPoints(cell) {
-  return cell?.state === 'gold' ? 1 : 5;
+  if (cell?.state === 'gold') return 1;
+  return 5 * Math.max(1, cell?.layers ?? 1);
 }
 
 export function getRowClearPoints() {
@@ -131,3 +171,23 @@ export function getBoardClearPoints(board) {
 // Special rune chances (0-1)
 export const WILD_CHANCE = 0.03;
 export const SKULL_CHANCE = 0.02;
+
+// Other special runes, in the order their chances stack after wild and skull
+export const SPECIAL_KINDS = ['bomb', 'transmuter', 'line', 'stone'];
+
+// Special rune chances (0-1) by board: each entry applies from its board until the next one
+export const SPECIAL_SPAWN_TABLE = [
+  { fromBoard: 1, chances: {} },
+  { fromBoard: 3, chances: { stone: 0.015 } },
+  { fromBoard: 5, chances: { bomb: 0.01, stone: 0.015 } },
+  { fromBoard: 7, chances: { bomb: 0.012, transmuter: 0.012, stone: 0.012 } },
+  { fromBoard: 9, chances: { bomb: 0.012, transmuter: 0.012, line: 0.008, stone: 0.012 } },
+];
+
+export function getSpecialChancesForBoard(board) {
+  let chances = {};
+  for (const entry of SPECIAL_SPAWN_TABLE) {
+    if (board >= entry.fromBoard) chances = entry.chances;
+  }
+  return chances;
+}
@@ -0,0 +1,418 @@
+/**
+ * Level editor screen - paint a board, set its runes and pools, then play-test it.
+ * Levels are the JSON format from levels.js; the board preview is the normal Renderer.
+ */
+
+import { Renderer } from './renderer.js';
+import { GameState } from './game.js';
+import {
+  parseLevel,
+  encodeLevel,
+  decodeLevel,
+  createDefaultLevelData,
+  MIN_LEVEL_SIZE,
+  MAX_LEVEL_SIZE,
+  SEQUENCE_WORDS,
+} from './levels.js';
+import { ZODIAC_SYMBOLS, ZODIAC_UNICODE, RUNE_COLORS } from './constants.js';
+
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 432;
+const MAX_CELL_SIZE = 48;
+// The browser may still be reading an exported file's blob URL after click() returns
+const EXPORT_URL_LIFETIME_MS = 10000;
+
+/** Paint codes for the cell tools (see CELL_CODES in levels.js) */
+const CELL_TOOLS = {
+  lead: '.',
+  lead2: '2',
+  lead3: '3',
+  gold: 'g',
+  hole: 'x',
+};
+
+let activeEditor = null;
+
+/**
+ * Editable copy of a level: cells as a 2D array of codes, pools as lists (null = board default)
+ */
+function toDraft(data) {
+  const resolvePool = (value, all) => {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'number' ? all.slice(0, value) : [...value];
+  };
+  return {
+    name: data.name ?? 'Custom Level',
+    cells: data.cells.map((row) => [...row]),
+    wilds: (data.wilds ?? []).map(({ x, y }) => ({ x, y })),
+    runes: (data.runes ?? []).map(({ x, y, color, symbol }) => ({ x, y, color, symbol })),
+    symbols: resolvePool(data.symbols, ZODIAC_SYMBOLS),
+    colors: resolvePool(data.colors, RUNE_COLORS),
+    sequence: (data.sequence ?? []).map((item) => (typeof item === 'string' ? item : { ...item })),
+    sequenceOnly: data.sequenceOnly === true,
+  };
+}
+
+/** Level JSON for a draft - only includes the optional fields that are set */
+function toLevelData(draft) {
+  const data = {
+    id: 'custom',
+    name: draft.name.trim() || 'Custom Level',
+    cells: draft.cells.map((row) => row.join('')),
+    wilds: draft.wilds,
+  };
+  if (draft.runes.length > 0) data.runes = draft.runes;
+  if (draft.symbols?.length > 0) data.symbols = draft.symbols;
+  if (draft.colors?.length > 0) data.colors = draft.colors;
+  if (draft.sequence.length > 0) data.sequence = draft.sequence;
+  if (draft.sequenceOnly) data.sequenceOnly = true;
+  return data;
+}
+
+/**
+ * Sequence as editable text: "crimson leo, azure aries, wild, skull, transmuter azure"
+ */
+export function formatSequence(sequence) {
+  return sequence.map((item) => {
+    if (typeof item === 'string') return item;
+    if (item.transmuter) return `transmuter ${item.transmuter}`;
+    return `${item.color} ${item.symbol}`;
+  }).join(', ');
+}
+
+/**
+ * Parse formatSequence() text. Throws an Error naming the first bad entry.
+ */
+export function parseSequence(text) {
+  return text.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean).map((entry) => {
+    if (SEQUENCE_WORDS.includes(entry)) return entry;
+    const [first, second, extra] = entry.split(/\s+/);
+    if (extra === undefined && first === 'transmuter' && RUNE_COLORS.includes(second)) {
+      return { transmuter: second };
+    }
+    if (extra !== undefined || !RUNE_COLORS.includes(first) || !ZODIAC_SYMBOLS.includes(second)) {
+      throw new Error(`"${entry}" is not a rune - use "color symbol", "transmuter color" or one of ${SEQUENCE_WORDS.join(', ')}`);
+    }
+    return { color: first, symbol: second };
+  });
+}
+
+/**
+ * Level code from a pasted share link (?level=...) or a bare code
+ */
+function extractLevelCode(text) {
+  const trimmed = text.trim();
+  try {
+    return new URL(trimmed).searchParams.get('level') ?? trimmed;
+  } catch {
+    return trimmed;
+  }
+}
+
+/** Share link for a level: this page with ?level=<code> */
+export function getLevelShareUrl(data) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('level', encodeLevel(data));
+  return url.toString();
+}
+
+function fillSelect(select, values, label = (v) => v) {
+  select.innerHTML = '';
+  values.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label(value);
+    select.appendChild(option);
+  });
+}
+
+function fillPoolChecks(container, values, selected, onChange, label = (v) => v) {
+  container.innerHTML = '';
+  values.forEach((value) => {
+    const item = document.createElement('label');
+    item.className = 'editor-pool-item';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = value;
+    input.checked = selected?.includes(value) ?? false;
+    input.onchange = onChange;
+    item.appendChild(input);
+    item.appendChild(document.createTextNode(label(value)));
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Open the level editor over whatever screen is showing
+ * @param {object} options
+ * @param {object} [options.level] - Level JSON to start from (defaults to a classic board)
+ * @param {string} [options.message] - Status line to show once the editor is open
+ * @param {(level: object) => void} options.onPlayTest - Start a game on the level; the editor is closed first
+ */
+export function openLevelEditor({ level, message, onPlayTest }) {
+  activeEditor?.close();
+
+  const screenEl = document.getElementById('editor-screen');
+  const canvas = document.getElementById('editor-canvas');
+  const nameInput = document.getElementById('editor-name');
+  const widthInput = document.getElementById('editor-width');
+  const heightInput = document.getElementById('editor-height');
+  const colorSelect = document.getElementById('editor-rune-color');
+  const symbolSelect = document.getElementById('editor-rune-symbol');
+  const colorPoolEl = document.getElementById('editor-color-pool');
+  const symbolPoolEl = document.getElementById('editor-symbol-pool');
+  const sequenceInput = document.getElementById('editor-sequence');
+  const sequenceOnlyInput = document.getElementById('editor-sequence-only');
+  const statusEl = document.getElementById('editor-status');
+  const shareInput = document.getElementById('editor-share-url');
+  const importCodeInput = document.getElementById('editor-import-code');
+  const fileInput = document.getElementById('editor-file-input');
+  const toolButtons = screenEl.querySelectorAll('.editor-tool-btn');
+
+  let draft = toDraft(level ?? createDefaultLevelData());
+  let tool = 'lead';
+  let painting = false;
+  let preview = null; // GameState built from the draft, drawn by the renderer
+  let renderer = null;
+
+  function setStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.classList.toggle('editor-error', isError);
+  }
+
+  /**
+   * Validate the draft and rebuild the preview. Returns the level JSON, or null if it's invalid.
+   */
+  function refresh() {
+    const data = toLevelData(draft);
+    try {
+      parseLevel(data);
+    } catch (err) {
+      setStatus(err.message, true);
+      return null;
+    }
+    const width = draft.cells[0].length;
+    const height = draft.cells.length;
+    const cellSize = Math.min(
+      MAX_CELL_SIZE,
+      Math.floor((CANVAS_WIDTH - 40) / width),
+      Math.floor((CANVAS_HEIGHT - 40) / height)
+    );
+    // Preview only shows the layout, so no sequence or previews need drawing
+    preview = new GameState({ level: { ...data, sequence: [], sequenceOnly: false }, cellSize, seed: 1 });
+    preview.currentRune = null;
+    if (renderer) {
+      renderer.gameState = preview;
+      renderer.cellSize = cellSize;
+    } else {
+      renderer = new Renderer(canvas, preview, { animate: false });
+    }
+    renderer.render();
+    setStatus(`${width}×${height} · ${draft.wilds.length} wild${draft.wilds.length === 1 ? '' : 's'} · ${draft.sequence.length} runes in sequence`);
+    return data;
+  }
+
+  function loadDraft(data) {
+    parseLevel(data);
+    draft = toDraft(data);
+    syncInputs();
+    refresh();
+  }
+
+  function syncInputs() {
+    nameInput.value = draft.name;
+    widthInput.value = String(draft.cells[0].length);
+    heightInput.value = String(draft.cells.length);
+    sequenceInput.value = formatSequence(draft.sequence);
+    sequenceOnlyInput.checked = draft.sequenceOnly;
+    fillPoolChecks(colorPoolEl, RUNE_COLORS, draft.colors, onPoolChange);
+    fillPoolChecks(symbolPoolEl, ZODIAC_SYMBOLS, draft.symbols, onPoolChange, (s) => ZODIAC_UNICODE[s]);
+    shareInput.value = '';
+  }
+
+  function onPoolChange() {
+    const checked = (el) => [...el.querySelectorAll('input:checked')].map((input) => input.value);
+    const colors = checked(colorPoolEl);
+    const symbols = checked(symbolPoolEl);
+    draft.colors = colors.length > 0 ? colors : null;
+    draft.symbols = symbols.length > 0 ? symbols : null;
+    refresh();
+  }
+
+  /** Remove whatever wild or rune sits on (x, y) */
+  function clearRuneAt(x, y) {
+    draft.wilds = draft.wilds.filter((w) => w.x !== x || w.y !== y);
+    draft.runes = draft.runes.filter((r) => r.x !== x || r.y !== y);
+  }
+
+  function paintAt(x, y) {
+    if (x < 0 || y < 0 || y >= draft.cells.length || x >= draft.cells[0].length) return;
+    if (CELL_TOOLS[tool]) {
+      draft.cells[y][x] = CELL_TOOLS[tool];
+      if (tool === 'hole') clearRuneAt(x, y);
+    } else if (tool === 'erase') {
+      clearRuneAt(x, y);
+    } else {
+      clearRuneAt(x, y);
+      if (draft.cells[y][x] === CELL_TOOLS.hole) draft.cells[y][x] = CELL_TOOLS.lead;
+      if (tool === 'wild') {
+        draft.wilds.push({ x, y });
+      } else {
+        draft.runes.push({ x, y, color: colorSelect.value, symbol: symbolSelect.value });
+      }
+    }
+    refresh();
+  }
+
+  function eventToGrid(e) {
+    const rect = canvas.getBoundingClientRect();
+    const offset = renderer.getBoardOffset();
+    return preview.screenToGrid(e.clientX - rect.left, e.clientY - rect.top, offset.x, offset.y);
+  }
+
+  /** Crop or extend the board to the size inputs, dropping runes that fall off */
+  function resizeBoard() {
+    const clamp = (input) => Math.max(MIN_LEVEL_SIZE, Math.min(MAX_LEVEL_SIZE, parseInt(input.value, 10) || MIN_LEVEL_SIZE));
+    const width = clamp(widthInput);
+    const height = clamp(heightInput);
+    widthInput.value = String(width);
+    heightInput.value = String(height);
+    draft.cells = Array.from({ length: height }, (_, y) =>
+      Array.from({ length: width }, (_, x) => draft.cells[y]?.[x] ?? CELL_TOOLS.lead)
+    );
+    const onBoard = ({ x, y }) => x < width && y < height;
+    draft.wilds = draft.wilds.filter(onBoard);
+    draft.runes = draft.runes.filter(onBoard);
+    refresh();
+  }
+
+  canvas.onpointerdown = (e) => {
+    if (!preview) return;
+    e.preventDefault();
+    painting = true;
+    canvas.setPointerCapture?.(e.pointerId);
+    const { x, y } = eventToGrid(e);
+    paintAt(x, y);
+  };
+  canvas.onpointermove = (e) => {
+    // Dragging paints cell states; runes and wilds go down one click at a time
+    if (!painting || !CELL_TOOLS[tool] || !preview) return;
+    const { x, y } = eventToGrid(e);
+    if (draft.cells[y]?.[x] !== CELL_TOOLS[tool]) paintAt(x, y);
+  };
+  canvas.onpointerup = () => {
+    painting = false;
+  };
+  canvas.onpointercancel = canvas.onpointerup;
+
+  toolButtons.forEach((btn) => {
+    btn.onclick = () => {
+      tool = btn.dataset.tool;
+      toolButtons.forEach((b) => b.classList.toggle('selected', b === btn));
+    };
+    btn.classList.toggle('selected', btn.dataset.tool === tool);
+  });
+
+  fillSelect(colorSelect, RUNE_COLORS);
+  fillSelect(symbolSelect, ZODIAC_SYMBOLS, (s) => `${ZODIAC_UNICODE[s]} ${s}`);
+  colorSelect.onchange = () => document.querySelector('.editor-tool-btn[data-tool="rune"]').click();
+  symbolSelect.onchange = colorSelect.onchange;
+
+  nameInput.oninput = () => {
+    draft.name = nameInput.value;
+  };
+  widthInput.onchange = resizeBoard;
+  heightInput.onchange = resizeBoard;
+  sequenceInput.onchange = () => {
+    try {
+      draft.sequence = parseSequence(sequenceInput.value);
+      refresh();
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  };
+
+  sequenceOnlyInput.onchange = () => {
+    draft.sequenceOnly = sequenceOnlyInput.checked;
+    refresh();
+  };
+
+  document.getElementById('editor-new-btn').onclick = () => loadDraft(createDefaultLevelData());
+
+  document.getElementById('editor-play-btn').onclick = () => {
+    const data = refresh();
+    if (!data) return;
+    close();
+    onPlayTest(data);
+  };
+
+  document.getElementById('editor-export-btn').onclick = () => {
+    const data = refresh();
+    if (!data) return;
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${data.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level'}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), EXPORT_URL_LIFETIME_MS);
+  };
+
+  document.getElementById('editor-import-btn').onclick = () => fileInput.click();
+  fileInput.onchange = async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      loadDraft(JSON.parse(await file.text()));
+    } catch (err) {
+      setStatus(`Could not import ${file.name}: ${err.message}`, true);
+    }
+  };
+
+  document.getElementById('editor-share-btn').onclick = async () => {
+    const data = refresh();
+    if (!data) return;
+    shareInput.value = getLevelShareUrl(data);
+    shareInput.select();
+    try {
+      await navigator.clipboard.writeText(shareInput.value);
+      setStatus('Share link copied to the clipboard');
+    } catch {
+      setStatus('Copy the share link below');
+    }
+  };
+
+  document.getElementById('editor-load-code-btn').onclick = () => {
+    if (!importCodeInput.value.trim()) return;
+    try {
+      loadDraft(decodeLevel(extractLevelCode(importCodeInput.value)));
+      importCodeInput.value = '';
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  };
+
+  document.getElementById('editor-close-btn').onclick = () => close();
+
+  function close() {
+    window.removeEventListener('resize', resize);
+    screenEl.hidden = true;
+    activeEditor = null;
+  }
+
+  function resize() {
+    renderer?.resize();
+    renderer?.render();
+  }
+
+  screenEl.hidden = false;
+  syncInputs();
+  if (refresh() && message) setStatus(message);
+  window.addEventListener('resize', resize);
+  resize();
+
+  activeEditor = { close };
+  return activeEditor;
+}
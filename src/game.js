@@ -12,40 +12,135 @@ import {
   getBoardClearPoints,
   WILD_CHANCE,
   SKULL_CHANCE,
+  SPECIAL_KINDS,
+  getSpecialChancesForBoard,
 } from './constants.js';
+import { SeededRandom, generateSeed, normalizeSeed } from './random.js';
+import { parseLevel, getLevelForBoard } from './levels.js';
 
 // Cell states
 export const CellState = {
-  EMPTY: 'empty',
-  LEAD: 'lead',
+  EMPTY: 'empty', // hole in a shaped board - not playable
+  LEAD: 'lead', // cell.layers says how deep (1-3)
   GOLD: 'gold',
 };
 
+/** Thickest lead: triple */
+const MAX_LEAD_LAYERS = 3;
+
 /** Wild space - solid block, any rune can be placed next to it */
 export const STARTING_RUNE = { color: 'grey', symbol: 'wild', isWild: true };
-export const STARTING_RUNE_X = 4;
-export const STARTING_RUNE_Y = 3;
 
 /** Skull rune - removes a rune of choice from the board */
 export const SKULL_RUNE = { isSkull: true };
 
 /**
- * Creates a random rune based on current board. May return wild or skull.
+ * Other specials. Like the skull they are used on a cell rather than placed:
+ *   bomb       - clears the runes (not wilds) in the 3x3 area around the cell
+ *   transmuter - recolors the rune on the cell and its neighbours to the transmuter's color
+ *   line       - gilds every lead cell in the row
+ *   stone      - the philosopher's stone: gilds one lead cell outright
+ */
+export const SPECIAL_RUNES = {
+  bomb: { isBomb: true },
+  transmuter: { isTransmuter: true }, // plus a color
+  line: { isLine: true },
+  stone: { isStone: true },
+};
+
+/** Which of SPECIAL_RUNES a rune is, or null */
+export function getSpecialKind(rune) {
+  if (!rune) return null;
+  if (rune.isBomb) return 'bomb';
+  if (rune.isTransmuter) return 'transmuter';
+  if (rune.isLine) return 'line';
+  if (rune.isStone) return 'stone';
+  return null;
+}
+
+/** Skulls and the other specials are aimed at a cell instead of placed */
+export function isTargetedRune(rune) {
+  return Boolean(rune?.isSkull || getSpecialKind(rune));
+}
+
+/**
+ * A special rune of the given kind. Transmuters take a color from the pool.
+ */
+export function createSpecialRune(kind, colors = RUNE_COLORS, random = Math.random) {
+  if (kind === 'transmuter') {
+    return { ...SPECIAL_RUNES.transmuter, color: colors[Math.floor(random() * colors.length)] };
+  }
+  return { ...SPECIAL_RUNES[kind] };
+}
+
+/**
+ * Save format version. Bump when the serialized shape changes and add a migration
+ * from the previous version to SAVE_MIGRATIONS.
+ */
+export const SAVE_VERSION = 2;
+
+/** version -> function upgrading a save of that version to version + 1, or null if it can't be */
+const SAVE_MIGRATIONS = {
+  // 1 -> 2: boards come from levels (config.level) instead of gridWidth/gridHeight. A save from before
+  // levels can only carry on if its board is still a plain rectangle of that size; shaped boards have holes
+  // the old grid doesn't.
+  1: (save) => {
+    const { gridWidth, gridHeight, ...config } = save.config ?? {};
+    if (gridWidth === undefined && gridHeight === undefined) return { ...save, version: 2 };
+    const level = getLevelForBoard(save.state?.board ?? config.startBoard ?? 1);
+    const plain = level.width === gridWidth && level.height === gridHeight
+      && level.cells.every((row) => row.every((c) => c.state !== CellState.EMPTY));
+    return plain ? { ...save, version: 2, config: { ...config, level: null } } : null;
+  },
+};
+
+/**
+ * Action log codes: [code, msSinceGameStart, x?, y?]
+ * The log plus the seed is enough to replay a game move by move.
+ */
+export const ActionType = {
+  PLACE: 'p',
+  DISCARD: 'd',
+  SKULL: 's',
+  SPECIAL: 'x', // bomb, transmuter, line or stone used on x, y
+  CONTINUE: 'c',
+  UNDO: 'u',
+  REDO: 'r',
+};
+
+/**
+ * Creates a random rune based on current board. May return wild, skull or another special.
+ * @param {number} board
+ * @param {() => number} random - Source of floats in [0, 1); pass a seeded generator for reproducible games
+ * @param {object} options
+ * @param {number} [options.wildChance] - Override the special rune chances (balance tuning)
+ * @param {number} [options.skullChance]
+ * @param {object} [options.specialChances] - kind -> chance (defaults to the board's spawn table entry)
+ * @param {string[]} [options.symbols] - Symbol pool (defaults to the board's symbol count)
+ * @param {string[]} [options.colors] - Color pool (defaults to the board's color count)
  */
-export function createRune(board = 1) {
-  const r = Math.random();
-  if (r < WILD_CHANCE) {
+export function createRune(board = 1, random = Math.random, options = {}) {
+  const wildChance = options.wildChance ?? WILD_CHANCE;
+  const skullChance = options.skullChance ?? SKULL_CHANCE;
+  const specialChances = options.specialChances ?? getSpecialChancesForBoard(board);
+  const colors = options.colors ?? RUNE_COLORS.slice(0, getColorCountForBoard(board));
+  const r = random();
+  if (r < wildChance) {
     return { color: 'grey', symbol: 'wild', isWild: true };
   }
-  if (r < WILD_CHANCE + SKULL_CHANCE) {
+  if (r < wildChance + skullChance) {
     return { ...SKULL_RUNE };
   }
+  let threshold = wildChance + skullChance;
+  for (const kind of SPECIAL_KINDS) {
+    threshold += specialChances[kind] ?? 0;
+    if (r < threshold) return createSpecialRune(kind, colors, random);
+  }
 
-  const symbolCount = getSymbolCountForBoard(board);
-  const colorCount = getColorCountForBoard(board);
+  const symbols = options.symbols ?? ZODIAC_SYMBOLS.slice(0, getSymbolCountForBoard(board));
   return {
-    color: RUNE_COLORS[Math.floor(Math.random() * colorCount)],
-    symbol: ZODIAC_SYMBOLS[Math.floor(Math.random() * symbolCount)],
+    color: colors[Math.floor(random() * colors.length)],
+    symbol: symbols[Math.floor(random() * symbols.length)],
   };
 }
 
@@ -53,18 +148,35 @@ export function createRune(board = 1) {
  * Game State class - manages the board, runes, forge, and scoring
  */
 export class GameState {
+  /**
+   * @param {object} config
+   * @param {object} [config.level] - Level JSON (see levels.js) played on every board;
+   *   omit for the standard progression
+   */
   constructor(config = {}) {
-    this.gridWidth = config.gridWidth ?? 8;
-    this.gridHeight = config.gridHeight ?? 8;
+    this.customLevel = config.level ?? null;
+    this.gridWidth = 0; // set from the level
+    this.gridHeight = 0;
+    this.level = null;
+    this.sequenceIndex = 0; // next rune of the level's fixed sequence
     this.forgeCapacity = config.forgeCapacity ?? 3;
     this.cellSize = config.cellSize ?? 48;
     this.skillLevel = config.skillLevel ?? 1;
     this.startBoard = config.startBoard ?? 1;
     this.gameMode = config.gameMode ?? 'strategic';
     this.timePerBoard = config.timePerBoard ?? 60; // seconds per board (time mode)
+    this.difficulty = config.difficulty ?? null;
+    this.undoLimit = config.undoLimit ?? Infinity; // max undo steps; 0 disables undo
+    this.wildChance = config.wildChance ?? WILD_CHANCE;
+    this.skullChance = config.skullChance ?? SKULL_CHANCE;
+    this.previewSize = config.previewSize ?? 0; // how many upcoming runes the player can see
+    this.seed = normalizeSeed(config.seed) ?? generateSeed();
+    this.rng = new SeededRandom(this.seed);
 
     this.grid = [];
     this.currentRune = null;
+    this.upcoming = []; // runes drawn ahead of time, next one first
+    this.upcomingStates = []; // RNG state each queued rune was drawn from; null if it didn't come from the RNG
     this.forge = [];
     this.score = 0;
     this.board = this.startBoard; // Current board number (1-indexed)
@@ -72,40 +184,165 @@ export class GameState {
     this.placementStreak = 0;
     this.maxPlacementStreak = 0;
     this.boardsCleared = 0;
+    this.moveCount = 0; // placements, discards and skull uses (undo takes them back)
+    this.discards = 0;
+    this.rowsCleared = 0;
+    this.columnsCleared = 0;
+    this.leadGilded = 0; // lead cells turned gold
+    this.skullsUsed = 0;
+    this.wildsPlaced = 0;
+    this.specialsUsed = 0;
     this.gameStartTime = null;
     this.boardTimeStart = null; // when current board started (time mode)
+    this.undoStack = [];
+    this.redoStack = [];
+    this.undoCount = 0; // how many times undo was used this game
+    this.actionLog = []; // append-only, survives undo
+    this.paused = false;
+    this.pausedAt = null;
+    this.listeners = []; // game event listeners, see addListener()
     this.init();
   }
 
-  init(preserveScore = false) {
-    // Initialize grid - all cells start as LEAD (spec: "squares turn back to lead")
-    this.grid = [];
-    for (let y = 0; y < this.gridHeight; y++) {
-      const row = [];
-      for (let x = 0; x < this.gridWidth; x++) {
-        row.push({ state: CellState.LEAD, rune: null });
-      }
-      this.grid.push(row);
+  /**
+   * Listen for game events. Each is called with ({ type, ...detail }) after the move has been applied:
+   *   place         { x, y, rune, points, rowsCleared, columnsCleared, clearedRows, clearedColumns, forgeWasFull }
+   *                 (clearedRows / clearedColumns: indices of the lines the placement cleared)
+   *   discard       { rune }
+   *   skull         { x, y }
+   *   special       { x, y, kind, points }
+   *   boardComplete { board, points }
+   *   newBoard      { board }
+   *   garbage       { cells: {x, y}[] }
+   * Undo, redo and restoring a save don't emit events.
+   * @returns {() => void} Removes the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(type, detail = {}) {
+    for (const listener of this.listeners) listener({ type, ...detail });
+  }
+
+  /**
+   * Generate a fresh rune from this game's seeded generator
+   */
+  generateRune() {
+    const { sequence } = this.level ?? {};
+    if (sequence && this.sequenceIndex < sequence.length) {
+      const item = sequence[this.sequenceIndex++];
+      if (item === 'wild') return { ...STARTING_RUNE };
+      if (item === 'skull') return { ...SKULL_RUNE };
+      if (SPECIAL_RUNES[item]) return createSpecialRune(item);
+      if (item.transmuter) return createSpecialRune('transmuter', [item.transmuter]);
+      return { ...item };
+    }
+    if (sequence && this.level.sequenceOnly) return null; // out of runes
+    return createRune(this.board, () => this.rng.next(), {
+      wildChance: this.wildChance,
+      skullChance: this.skullChance,
+      symbols: this.level?.symbols,
+      colors: this.level?.colors,
+    });
+  }
+
+  /**
+   * Take the next rune from the preview queue and top the queue back up,
+   * so the runes shown in the preview are exactly the ones that arrive.
+   * Null once a sequence-only level has dealt its last rune.
+   */
+  nextRune() {
+    this.upcomingStates.shift();
+    const rune = this.upcoming.length > 0 ? this.upcoming.shift() : this.generateRune();
+    this.fillPreviewQueue();
+    return rune;
+  }
+
+  fillPreviewQueue() {
+    while (this.upcoming.length < this.previewSize) {
+      const rngState = this.rng.state;
+      const rune = this.generateRune();
+      if (!rune) break;
+      this.upcoming.push(rune);
+      this.upcomingStates.push(this.rng.state !== rngState ? rngState : null);
     }
+  }
 
-    // Place starting wild at center
-    const startCell = this.getCell(STARTING_RUNE_X, STARTING_RUNE_Y);
-    if (startCell) {
-      startCell.rune = { ...STARTING_RUNE };
+  /**
+   * On a new board, throw away the queued runes drawn for the old one and wind the RNG back to where
+   * the first of them was drawn. The queue then refills from the new board's rune pool, and a seed deals
+   * the same runes whatever the preview size.
+   */
+  redrawPreviewQueue() {
+    const first = this.upcomingStates.findIndex((state) => state !== null);
+    if (first === -1) return;
+    this.rng.state = this.upcomingStates[first];
+    this.upcoming.length = first;
+    this.upcomingStates.length = first;
+  }
+
+  /**
+   * Parsed level for a board: the custom level if one was given, else the standard progression
+   */
+  getLevel(board) {
+    return this.customLevel ? parseLevel(this.customLevel, board) : getLevelForBoard(board);
+  }
+
+  /**
+   * Lay out the grid from a level - cells start as LEAD unless the level says otherwise
+   * (spec: "squares turn back to lead"), with its starting wilds and pre-placed runes.
+   * A level with a fixed rune sequence deals it from the first rune of the board.
+   */
+  loadLevel(level) {
+    this.level = { ...level, board: this.board };
+    this.sequenceIndex = 0;
+    if (level.sequence.length > 0) {
+      this.upcoming = [];
+      this.upcomingStates = [];
+    }
+    this.gridWidth = level.width;
+    this.gridHeight = level.height;
+    this.grid = level.cells.map((row) => row.map((c) => ({ state: c.state, layers: c.layers, rune: null })));
+    for (const { x, y } of level.wilds) {
+      this.grid[y][x].rune = { ...STARTING_RUNE };
     }
+    for (const { x, y, color, symbol } of level.runes) {
+      this.grid[y][x].rune = { color, symbol };
+    }
+  }
 
-    this.currentRune = createRune(this.board);
+  init(preserveScore = false) {
     this.forge = [];
     if (!preserveScore) {
+      this.rng = new SeededRandom(this.seed);
+      this.upcoming = [];
+      this.upcomingStates = [];
       this.score = 0;
       this.board = this.startBoard;
       this.placementStreak = 0;
       this.maxPlacementStreak = 0;
       this.boardsCleared = 0;
+      this.moveCount = 0;
+      this.discards = 0;
+      this.rowsCleared = 0;
+      this.columnsCleared = 0;
+      this.leadGilded = 0;
+      this.skullsUsed = 0;
+      this.wildsPlaced = 0;
+      this.specialsUsed = 0;
       this.gameStartTime = Date.now();
       this.boardTimeStart = this.gameMode === 'time' ? Date.now() : null;
+      this.undoCount = 0;
+      this.actionLog = [];
     }
+    this.loadLevel(this.getLevel(this.board));
+    this.currentRune = this.nextRune();
     this.selectedCell = null;
+    this.clearHistory();
   }
 
   /**
@@ -113,29 +350,22 @@ export class GameState {
    */
   startNewRound() {
     this.board += 1;
-    // Reset grid to lead with no runes
-    for (let y = 0; y < this.gridHeight; y++) {
-      for (let x = 0; x < this.gridWidth; x++) {
-        const cell = this.grid[y][x];
-        cell.state = CellState.LEAD;
-        cell.rune = null;
-      }
-    }
-    // Place starting wild
-    const startCell = this.getCell(STARTING_RUNE_X, STARTING_RUNE_Y);
-    if (startCell) {
-      startCell.rune = { ...STARTING_RUNE };
-    }
+    this.loadLevel(this.getLevel(this.board));
+    this.redrawPreviewQueue();
     // Board clear: lower forge by one level (does not empty)
     if (this.forge.length > 0) {
       this.forge.pop();
     }
-    this.currentRune = createRune(this.board);
+    this.currentRune = this.nextRune();
     this.selectedCell = null;
+    // Undo never crosses into a previous board
+    this.clearHistory();
+    this.logAction(ActionType.CONTINUE);
     // Reset board timer for time mode
     if (this.gameMode === 'time') {
       this.boardTimeStart = Date.now();
     }
+    this.emit('newBoard', { board: this.board });
   }
 
   /**
@@ -148,6 +378,11 @@ export class GameState {
     return this.grid[y][x];
   }
 
+  /** False for holes in a shaped board */
+  isPlayable(cell) {
+    return cell !== null && cell.state !== CellState.EMPTY;
+  }
+
   /**
    * Get adjacent cells (horizontal/vertical only)
    */
@@ -177,10 +412,10 @@ export class GameState {
    */
   canPlaceAt(x, y) {
     const cell = this.getCell(x, y);
-    if (!cell || !this.currentRune) return false;
+    if (!this.isPlayable(cell) || !this.currentRune) return false;
 
-    // Skull is not placed - it's used to remove a rune
-    if (this.currentRune.isSkull) return false;
+    // Skull and other specials are not placed - they're used on a cell
+    if (isTargetedRune(this.currentRune)) return false;
 
     // Can't place on cell that already has a rune
     if (cell.rune !== null) return false;
@@ -218,74 +453,150 @@ export class GameState {
   placeRune(x, y) {
     if (!this.canPlaceAt(x, y)) return { placed: false, rowColumnCleared: false, placementPoints: 0 };
 
+    this.recordHistory();
     const cell = this.getCell(x, y);
     const pts = getPlacementPoints(cell);
-    cell.rune = { ...this.currentRune };
-    cell.state = CellState.GOLD; // Placing on lead turns it gold; gold stays gold
+    const forgeWasFull = this.isForgeFull();
+    const rowsBefore = this.rowsCleared;
+    const columnsBefore = this.columnsCleared;
+    const placed = this.currentRune;
+    cell.rune = { ...placed };
+    this.stripLayer(cell);
     this.score += pts;
+    this.moveCount += 1;
+    if (placed.isWild) this.wildsPlaced += 1;
     this.placementStreak += 1;
     if (this.placementStreak > this.maxPlacementStreak) {
       this.maxPlacementStreak = this.placementStreak;
     }
 
     this.onSuccessfulPlacement();
-    const rowClearBonus = this.checkRowColumnBonuses();
+    // Draw before checking bonuses so a full clear can swap in its wild
+    this.currentRune = this.nextRune();
+    const lines = { rows: [], columns: [] };
+    const rowClearBonus = this.checkRowColumnBonuses(lines);
     const totalPoints = pts + rowClearBonus;
 
-    this.currentRune = createRune(this.board);
     this.selectedCell = null;
+    this.logAction(ActionType.PLACE, x, y);
+    this.emit('place', {
+      x,
+      y,
+      rune: placed,
+      points: totalPoints,
+      rowsCleared: this.rowsCleared - rowsBefore,
+      columnsCleared: this.columnsCleared - columnsBefore,
+      clearedRows: lines.rows,
+      clearedColumns: lines.columns,
+      forgeWasFull,
+    });
     return { placed: true, rowColumnCleared: rowClearBonus > 0, placementPoints: pts, totalPoints };
   }
 
   /**
-   * When a row or column is fully filled, grant bonus, clear runes, set gold, EMPTY FORGE
-   * @returns {boolean} Whether any row or column was cleared
+   * Placing or clearing a rune on lead removes one layer; the last layer turns it gold. Gold stays gold.
    */
+  stripLayer(cell) {
+    if (cell.state !== CellState.LEAD) return;
+    cell.layers = (cell.layers ?? 1) - 1;
+    if (cell.layers <= 0) {
+      cell.state = CellState.GOLD;
+      cell.layers = 0;
+      this.leadGilded += 1;
+    }
+  }
+
   /**
+   * Race garbage from an opponent: `count` random squares without a rune gain a lead layer (gold turns
+   * back to lead, lead thickens up to triple). Takes its own random source so the rune sequence stays
+   * in step with the other racers'.
+   * @returns {{ x: number, y: number }[]} squares that changed
+   */
+  addGarbage(count, random = Math.random) {
+    const candidates = [];
+    this.grid.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell.rune || !this.isPlayable(cell)) return;
+      if (cell.state === CellState.GOLD || cell.layers < MAX_LEAD_LAYERS) candidates.push({ x, y });
+    }));
+    const changed = [];
+    while (changed.length < count && candidates.length > 0) {
+      const [pick] = candidates.splice(Math.floor(random() * candidates.length), 1);
+      const cell = this.grid[pick.y][pick.x];
+      if (cell.state === CellState.GOLD) {
+        cell.state = CellState.LEAD;
+        cell.layers = 1;
+      } else {
+        cell.layers += 1;
+      }
+      changed.push(pick);
+    }
+    if (changed.length > 0) this.emit('garbage', { cells: changed });
+    return changed;
+  }
+
+  /**
+   * When a row or column is fully filled, grant bonus, clear runes, set gold, EMPTY FORGE.
+   * Holes don't count: a line is full when every playable cell in it has a rune.
+   * A line with holes needs at least two playable cells, or a lone cell between holes would clear (and pay out)
+   * on every placement. Lines without holes keep the plain rule, however short.
+   * @param {{ rows: number[], columns: number[] }} [lines] - Filled with the indices of the lines cleared
    * @returns {number} Total bonus points added (55 per row/column cleared)
    */
-  checkRowColumnBonuses() {
+  checkRowColumnBonuses(lines = { rows: [], columns: [] }) {
     const BONUS = getRowClearPoints();
     let totalBonus = 0;
 
+    const fullLine = (cells) => {
+      const playable = cells.filter((c) => this.isPlayable(c));
+      const minimum = playable.length < cells.length ? 2 : 1;
+      return playable.length >= minimum && playable.every((c) => c.rune !== null) ? playable : null;
+    };
+
+    // Find every full line before clearing any, so a row and column crossing at the placed rune both count
+    const fullRows = [];
     for (let y = 0; y < this.gridHeight; y++) {
-      const row = this.grid[y];
-      const isFull = row.every((c) => c.rune !== null);
-      if (isFull) {
-        this.score += BONUS;
-        totalBonus += BONUS;
-        row.forEach((c) => {
-          c.state = CellState.GOLD;
-          c.rune = null;
-        });
+      const row = fullLine(this.grid[y]);
+      if (row) {
+        fullRows.push(row);
+        lines.rows.push(y);
       }
     }
-
+    const fullColumns = [];
     for (let x = 0; x < this.gridWidth; x++) {
       const col = [];
       for (let y = 0; y < this.gridHeight; y++) {
         col.push(this.getCell(x, y));
       }
-      const isFull = col.every((c) => c && c.rune !== null);
-      if (isFull) {
-        this.score += BONUS;
-        totalBonus += BONUS;
-        col.forEach((c) => {
-          if (c) {
-            c.state = CellState.GOLD;
-            c.rune = null;
-          }
-        });
+      const full = fullLine(col);
+      if (full) {
+        fullColumns.push(full);
+        lines.columns.push(x);
       }
     }
 
+    // A cell where a cleared row and column cross loses one layer, not two
+    const cleared = new Set([...fullRows, ...fullColumns].flat());
+    cleared.forEach((c) => {
+      this.stripLayer(c);
+      c.rune = null;
+    });
+    totalBonus = (fullRows.length + fullColumns.length) * BONUS;
+    this.score += totalBonus;
+    this.rowsCleared += fullRows.length;
+    this.columnsCleared += fullColumns.length;
+
     // Row/column clear empties the forge
     if (totalBonus > 0) {
       this.forge = [];
     }
 
-    // Rare: all runes cleared without full gold -> give wild (spec)
+    // Rare: all runes cleared without full gold -> give wild (spec).
+    // The rune it replaces goes back to the front of the queue rather than vanishing.
     if (totalBonus > 0 && this.countRunesOnBoard() === 0 && !this.isLevelComplete()) {
+      if (this.currentRune) {
+        this.upcoming.unshift(this.currentRune);
+        this.upcomingStates.unshift(null);
+      }
       this.currentRune = { color: 'grey', symbol: 'wild', isWild: true };
     }
     return totalBonus;
@@ -299,15 +610,96 @@ export class GameState {
     const cell = this.getCell(x, y);
     if (!cell || !cell.rune || cell.rune.isWild) return false;
 
+    this.recordHistory();
     cell.rune = null;
-    this.currentRune = createRune(this.board);
+    this.moveCount += 1;
+    this.skullsUsed += 1;
+    this.currentRune = this.nextRune();
     // Skull use lowers forge one level
     if (this.forge.length > 0) {
       this.forge.pop();
     }
+    this.logAction(ActionType.SKULL, x, y);
+    this.emit('skull', { x, y });
     return true;
   }
 
+  /**
+   * Cells the current special would affect if used at (x, y). Empty when it would do nothing.
+   * @returns {{ x: number, y: number }[]}
+   */
+  getSpecialTargets(x, y) {
+    const kind = getSpecialKind(this.currentRune);
+    const target = this.getCell(x, y);
+    if (!kind || !target || !this.isPlayable(target)) return [];
+
+    const targets = [];
+    const add = (cx, cy, test) => {
+      const cell = this.getCell(cx, cy);
+      if (cell && test(cell)) targets.push({ x: cx, y: cy });
+    };
+    const hasRune = (cell) => cell.rune && !cell.rune.isWild;
+    const isLead = (cell) => cell.state === CellState.LEAD;
+
+    if (kind === 'bomb') {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) add(x + dx, y + dy, hasRune);
+      }
+    } else if (kind === 'transmuter') {
+      if (!hasRune(target)) return [];
+      const color = this.currentRune.color;
+      const recolors = (cell) => hasRune(cell) && cell.rune.color !== color;
+      for (const [dx, dy] of [[0, 0], [0, -1], [1, 0], [0, 1], [-1, 0]]) add(x + dx, y + dy, recolors);
+    } else if (kind === 'line') {
+      for (let cx = 0; cx < this.gridWidth; cx++) add(cx, y, isLead);
+    } else if (kind === 'stone') {
+      add(x, y, isLead);
+    }
+    return targets;
+  }
+
+  /**
+   * Can the current special (bomb, transmuter, line, stone) be used at (x,y)?
+   */
+  canUseSpecialAt(x, y) {
+    return this.getSpecialTargets(x, y).length > 0;
+  }
+
+  /**
+   * Use the current special at (x, y). Like a skull it lowers the forge by one.
+   * Line and stone take a lead layer off each lead cell they hit, scoring as if a rune had been placed on it:
+   * plain lead turns gold, double and triple lead only thin.
+   * @returns {{ used: boolean, kind?: string, points?: number }}
+   */
+  useSpecial(x, y) {
+    const kind = getSpecialKind(this.currentRune);
+    const targets = this.getSpecialTargets(x, y);
+    if (targets.length === 0) return { used: false };
+
+    this.recordHistory();
+    let points = 0;
+    for (const t of targets) {
+      const cell = this.grid[t.y][t.x];
+      if (kind === 'bomb') {
+        cell.rune = null;
+      } else if (kind === 'transmuter') {
+        cell.rune = { ...cell.rune, color: this.currentRune.color };
+      } else {
+        points += getPlacementPoints(cell);
+        this.stripLayer(cell);
+      }
+    }
+    this.score += points;
+    this.moveCount += 1;
+    this.specialsUsed += 1;
+    this.onSuccessfulPlacement();
+    this.currentRune = this.nextRune();
+    this.selectedCell = null;
+    this.logAction(ActionType.SPECIAL, x, y);
+    this.emit('special', { x, y, kind, points });
+    return { used: true, kind, points };
+  }
+
   /**
    * Discard current rune to the forge
    */
@@ -315,10 +707,16 @@ export class GameState {
     if (!this.currentRune) return false;
     if (this.forge.length >= this.forgeCapacity) return false;
 
-    this.forge.push(this.currentRune);
-    this.currentRune = createRune(this.board);
+    this.recordHistory();
+    const rune = this.currentRune;
+    this.forge.push(rune);
+    this.currentRune = this.nextRune();
     this.selectedCell = null;
     this.placementStreak = 0;
+    this.moveCount += 1;
+    this.discards += 1;
+    this.logAction(ActionType.DISCARD);
+    this.emit('discard', { rune });
     return true;
   }
 
@@ -343,23 +741,24 @@ export class GameState {
 
   hasValidPlacement() {
     if (!this.currentRune) return false;
-    if (this.currentRune.isSkull) {
-      // Skull can be used if there's a removable rune (non-wild)
-      for (let y = 0; y < this.gridHeight; y++) {
-        for (let x = 0; x < this.gridWidth; x++) {
-          if (this.canSkullRemoveAt(x, y)) return true;
-        }
-      }
-      return false;
-    }
     for (let y = 0; y < this.gridHeight; y++) {
       for (let x = 0; x < this.gridWidth; x++) {
-        if (this.canPlaceAt(x, y)) return true;
+        if (this.canActAt(x, y)) return true;
       }
     }
     return false;
   }
 
+  /**
+   * Can the current rune do anything at (x,y)? Placement, skull removal or a special.
+   */
+  canActAt(x, y) {
+    if (!this.currentRune) return false;
+    if (this.currentRune.isSkull) return this.canSkullRemoveAt(x, y);
+    if (getSpecialKind(this.currentRune)) return this.canUseSpecialAt(x, y);
+    return this.canPlaceAt(x, y);
+  }
+
   /**
    * Can skull remove a rune at (x,y)?
    */
@@ -377,23 +776,23 @@ export class GameState {
   /** Time mode: has the board timer run out? */
   timeExpired() {
     if (this.gameMode !== 'time' || !this.boardTimeStart) return false;
-    const elapsed = (Date.now() - this.boardTimeStart) / 1000;
+    const elapsed = (this.currentTime() - this.boardTimeStart) / 1000;
     return elapsed >= this.timePerBoard;
   }
 
   /** Time mode: seconds remaining on current board */
   getBoardTimeRemaining() {
     if (this.gameMode !== 'time' || !this.boardTimeStart) return null;
-    const elapsed = (Date.now() - this.boardTimeStart) / 1000;
+    const elapsed = (this.currentTime() - this.boardTimeStart) / 1000;
     return Math.max(0, Math.ceil(this.timePerBoard - elapsed));
   }
 
   /**
-   * Level/board complete: all cells are gold
+   * Level/board complete: all cells (other than holes) are gold
    */
   isLevelComplete() {
     return this.grid.every((row) =>
-      row.every((c) => c.state === CellState.GOLD)
+      row.every((c) => c.state === CellState.GOLD || c.state === CellState.EMPTY)
     );
   }
 
@@ -401,12 +800,235 @@ export class GameState {
    * When completing a board: add board clear bonus, track stats
    */
   completeBoard() {
-    this.score += getBoardClearPoints(this.board);
+    const points = getBoardClearPoints(this.board);
+    this.score += points;
     this.boardsCleared += 1;
+    this.emit('boardComplete', { board: this.board, points });
   }
 
   getGameTimeSeconds() {
     if (!this.gameStartTime) return 0;
-    return Math.floor((Date.now() - this.gameStartTime) / 1000);
+    return Math.floor((this.currentTime() - this.gameStartTime) / 1000);
+  }
+
+  /** Clock used for timers - frozen while paused */
+  currentTime() {
+    return this.pausedAt ?? Date.now();
+  }
+
+  /**
+   * Pause the game clock (board timer and game time)
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.pausedAt = Date.now();
+  }
+
+  /**
+   * Resume the game clock, shifting timers by the time spent paused
+   */
+  resume() {
+    if (!this.paused) return;
+    const pausedFor = Date.now() - this.pausedAt;
+    if (this.gameStartTime) this.gameStartTime += pausedFor;
+    if (this.boardTimeStart) this.boardTimeStart += pausedFor;
+    this.paused = false;
+    this.pausedAt = null;
+  }
+
+  /**
+   * Copy of everything an action can change (board, forge, score, streaks, RNG position).
+   * Restoring the RNG too means undoing a discard brings back the same next rune.
+   */
+  snapshot() {
+    return {
+      grid: this.grid.map((row) => row.map((c) => ({ state: c.state, layers: c.layers, rune: c.rune ? { ...c.rune } : null }))),
+      currentRune: this.currentRune ? { ...this.currentRune } : null,
+      upcoming: this.upcoming.map((r) => ({ ...r })),
+      upcomingStates: [...this.upcomingStates],
+      forge: this.forge.map((r) => ({ ...r })),
+      score: this.score,
+      board: this.board,
+      placementStreak: this.placementStreak,
+      maxPlacementStreak: this.maxPlacementStreak,
+      boardsCleared: this.boardsCleared,
+      moveCount: this.moveCount,
+      discards: this.discards,
+      rowsCleared: this.rowsCleared,
+      columnsCleared: this.columnsCleared,
+      leadGilded: this.leadGilded,
+      skullsUsed: this.skullsUsed,
+      wildsPlaced: this.wildsPlaced,
+      specialsUsed: this.specialsUsed,
+      rngState: this.rng.state,
+      sequenceIndex: this.sequenceIndex,
+    };
+  }
+
+  restoreSnapshot(snap) {
+    this.grid = snap.grid.map((row) => row.map((c) => ({
+      state: c.state,
+      layers: c.layers ?? (c.state === CellState.LEAD ? 1 : 0), // saves from before layered lead
+      rune: c.rune ? { ...c.rune } : null,
+    })));
+    this.gridHeight = this.grid.length;
+    this.gridWidth = this.grid[0]?.length ?? 0;
+    this.currentRune = snap.currentRune ? { ...snap.currentRune } : null;
+    this.upcoming = (snap.upcoming ?? []).map((r) => ({ ...r }));
+    this.upcomingStates = this.upcoming.map((_, i) => snap.upcomingStates?.[i] ?? null);
+    this.forge = (snap.forge ?? []).map((r) => ({ ...r }));
+    this.score = snap.score ?? 0;
+    this.board = snap.board ?? this.startBoard;
+    this.placementStreak = snap.placementStreak ?? 0;
+    this.maxPlacementStreak = snap.maxPlacementStreak ?? 0;
+    this.boardsCleared = snap.boardsCleared ?? 0;
+    this.moveCount = snap.moveCount ?? 0;
+    this.discards = snap.discards ?? 0;
+    this.rowsCleared = snap.rowsCleared ?? 0;
+    this.columnsCleared = snap.columnsCleared ?? 0;
+    this.leadGilded = snap.leadGilded ?? 0;
+    this.skullsUsed = snap.skullsUsed ?? 0;
+    this.wildsPlaced = snap.wildsPlaced ?? 0;
+    this.specialsUsed = snap.specialsUsed ?? 0;
+    this.rng.state = snap.rngState >>> 0;
+    this.sequenceIndex = snap.sequenceIndex ?? 0;
+    this.selectedCell = null;
+    // Rune pools come from the level; only re-parse when the board changed
+    if (this.level?.board !== this.board) {
+      this.level = { ...this.getLevel(this.board), board: this.board };
+    }
+  }
+
+  /**
+   * Append an action to the replay log, timestamped relative to game start
+   */
+  logAction(type, x, y) {
+    const t = this.gameStartTime ? Date.now() - this.gameStartTime : 0;
+    this.actionLog.push(x === undefined ? [type, t] : [type, t, x, y]);
+  }
+
+  /**
+   * Push the pre-action state onto the undo stack. Called by every action that changes the board.
+   */
+  recordHistory() {
+    if (this.undoLimit <= 0) return;
+    this.undoStack.push(this.snapshot());
+    if (this.undoStack.length > this.undoLimit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Revert the last placement, discard or skull use (including any row/column clear it caused)
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    this.redoStack.push(this.snapshot());
+    this.restoreSnapshot(this.undoStack.pop());
+    this.undoCount += 1;
+    this.logAction(ActionType.UNDO);
+    return true;
+  }
+
+  redo() {
+    if (!this.canRedo()) return false;
+    this.undoStack.push(this.snapshot());
+    this.restoreSnapshot(this.redoStack.pop());
+    this.logAction(ActionType.REDO);
+    return true;
+  }
+
+  /**
+   * Plain-JSON snapshot of the whole game, for saving to storage.
+   * Timers are stored as elapsed/remaining durations so they survive a reload.
+   */
+  serialize() {
+    const now = this.currentTime();
+    return {
+      version: SAVE_VERSION,
+      config: {
+        level: this.customLevel,
+        forgeCapacity: this.forgeCapacity,
+        cellSize: this.cellSize,
+        skillLevel: this.skillLevel,
+        startBoard: this.startBoard,
+        gameMode: this.gameMode,
+        timePerBoard: this.timePerBoard,
+        difficulty: this.difficulty,
+        undoLimit: Number.isFinite(this.undoLimit) ? this.undoLimit : null, // JSON has no Infinity
+        wildChance: this.wildChance,
+        skullChance: this.skullChance,
+        previewSize: this.previewSize,
+        seed: this.seed,
+      },
+      state: {
+        ...this.snapshot(),
+        undoCount: this.undoCount,
+        actionLog: this.actionLog.map((a) => [...a]),
+        elapsedMs: this.gameStartTime ? now - this.gameStartTime : 0,
+        boardTimeRemainingMs: this.boardTimeStart
+          ? Math.max(0, this.timePerBoard * 1000 - (now - this.boardTimeStart))
+          : null,
+      },
+    };
+  }
+
+  /**
+   * Rebuild a GameState from serialize() output. Older versions are migrated;
+   * unknown or newer versions and malformed data return null instead of throwing.
+   * @returns {GameState|null}
+   */
+  static deserialize(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return null;
+    if (data.version > SAVE_VERSION) return null;
+
+    let save = data;
+    while (save.version < SAVE_VERSION) {
+      const migrate = SAVE_MIGRATIONS[save.version];
+      if (!migrate) return null;
+      save = migrate(save);
+      if (!save) return null;
+    }
+
+    const { config, state } = save;
+    if (!config || !state || !Array.isArray(state.grid) || !Array.isArray(state.grid[0])) return null;
+    const width = state.grid[0].length;
+    if (!state.grid.every((row) => Array.isArray(row) && row.length === width)) return null;
+
+    let game;
+    try {
+      game = new GameState(config);
+      game.restoreSnapshot(state);
+    } catch {
+      return null; // custom level no longer valid
+    }
+    // The saved board must have the shape of its level, holes included
+    if (game.gridWidth !== game.level.width || game.gridHeight !== game.level.height) return null;
+    const holesMatch = game.level.cells.every((row, y) => row.every((c, x) =>
+      (c.state === CellState.EMPTY) === (game.grid[y][x].state === CellState.EMPTY)));
+    if (!holesMatch) return null;
+    const now = Date.now();
+    game.undoCount = state.undoCount ?? 0;
+    game.actionLog = Array.isArray(state.actionLog) ? state.actionLog.map((a) => [...a]) : [];
+    game.gameStartTime = now - (state.elapsedMs ?? 0);
+    game.boardTimeStart = game.gameMode === 'time'
+      ? now - (game.timePerBoard * 1000 - (state.boardTimeRemainingMs ?? game.timePerBoard * 1000))
+      : null;
+    return game;
   }
 }
@@ -0,0 +1,119 @@
+/**
+ * Game history: a summary of every finished game, persisted in localStorage,
+ * and the lifetime statistics computed from it.
+ */
+
+import { DIFFICULTY_LEVELS, GAME_MODES } from './constants.js';
+
+const STORAGE_KEY = 'allthatglitters_history';
+const MAX_GAMES = 2000; // oldest games are dropped past this (a few hundred KB of storage)
+
+/**
+ * Summary of a finished game
+ * @param {GameState} gameState
+ */
+export function createHistoryEntry(gameState) {
+  return {
+    date: new Date().toISOString(),
+    mode: gameState.gameMode,
+    difficulty: gameState.difficulty,
+    score: gameState.score,
+    board: gameState.board,
+    boardsCleared: gameState.boardsCleared,
+    maxStreak: gameState.maxPlacementStreak,
+    leadGilded: gameState.leadGilded,
+    rowsCleared: gameState.rowsCleared,
+    columnsCleared: gameState.columnsCleared,
+    skullsUsed: gameState.skullsUsed,
+    wildsPlaced: gameState.wildsPlaced,
+    specialsUsed: gameState.specialsUsed,
+    discards: gameState.discards,
+    seconds: gameState.getGameTimeSeconds(),
+    seed: gameState.seed,
+  };
+}
+
+/**
+ * Finished games, oldest first
+ */
+export function loadHistory() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    const parsed = data ? JSON.parse(data) : [];
+    return Array.isArray(parsed) ? parsed.filter((g) => g && typeof g.score === 'number') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add a finished game to the history
+ * @param {GameState} gameState
+ */
+export function recordGame(gameState) {
+  const history = loadHistory();
+  history.push(createHistoryEntry(gameState));
+  if (history.length > MAX_GAMES) history.splice(0, history.length - MAX_GAMES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch {
+    // Storage full or unavailable - this game just isn't counted
+  }
+}
+
+/** "Strategic · Easy" */
+export function describeModeKey(mode, difficulty) {
+  const modeLabel = mode === GAME_MODES.time ? 'Time' : 'Strategic';
+  const difficultyLabel = DIFFICULTY_LEVELS[difficulty]?.label;
+  return difficultyLabel ? `${modeLabel} · ${difficultyLabel}` : modeLabel;
+}
+
+/**
+ * Lifetime statistics from loadHistory()
+ * @returns {{
+ *   games: number,
+ *   totals: object,
+ *   bestScore: number,
+ *   averageScore: number,
+ *   longestStreak: number,
+ *   byMode: { label: string, games: number, averageScore: number, bestScore: number }[],
+ *   scores: { date: string, score: number }[]
+ * }}
+ */
+export function computeStats(history) {
+  const sum = (key) => history.reduce((total, g) => total + (g[key] ?? 0), 0);
+  const best = (games) => games.reduce((max, g) => Math.max(max, g.score), 0);
+  const average = (games) => (games.length ? Math.round(games.reduce((t, g) => t + g.score, 0) / games.length) : 0);
+
+  const groups = new Map();
+  for (const game of history) {
+    const label = describeModeKey(game.mode, game.difficulty);
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(game);
+  }
+
+  return {
+    games: history.length,
+    totals: {
+      boardsCleared: sum('boardsCleared'),
+      leadGilded: sum('leadGilded'),
+      rowsCleared: sum('rowsCleared'),
+      columnsCleared: sum('columnsCleared'),
+      skullsUsed: sum('skullsUsed'),
+      wildsPlaced: sum('wildsPlaced'),
+      specialsUsed: sum('specialsUsed'),
+      discards: sum('discards'),
+      seconds: sum('seconds'),
+    },
+    bestScore: best(history),
+    averageScore: average(history),
+    longestStreak: history.reduce((max, g) => Math.max(max, g.maxStreak ?? 0), 0),
+    byMode: [...groups].map(([label, games]) => ({
+      label,
+      games: games.length,
+      averageScore: average(games),
+      bestScore: best(games),
+    })),
+    scores: history.map((g) => ({ date: g.date, score: g.score })),
+  };
+}
@@ -1,55 +1,311 @@
 /**
- * Input handler for mouse/click events
+ * Input handler for pointer (mouse, touch, pen) and keyboard play
  */
 
-import { playPlaceSound, playRowColumnClearSound, playForgeSound, playSkullSound } from './audio.js';
+import {
+  playPlaceSound,
+  playRowColumnClearSound,
+  playForgeSound,
+  playSkullSound,
+  playSpecialSound,
+} from './audio.js';
+import { getSpecialKind } from './game.js';
+
+// Arrow keys and WASD move the keyboard cursor
+const CURSOR_MOVES = {
+  arrowup: [0, -1],
+  arrowdown: [0, 1],
+  arrowleft: [-1, 0],
+  arrowright: [1, 0],
+  w: [0, -1],
+  s: [0, 1],
+  a: [-1, 0],
+  d: [1, 0],
+};
+
+const DISCARD_KEY = 'f';
+const LIST_MOVES_KEY = 'l';
+
+// Touch gestures
+const LONG_PRESS_MS = 500; // hold this long to discard to the forge
+const SWIPE_MIN_PX = 60; // a quick drag at least this far discards
+const SWIPE_MAX_MS = 400;
+const TAP_SLOP_PX = 10; // movement still counted as a tap
 
 export class InputHandler {
-  constructor(canvas, gameState, renderer, onUpdate) {
+  /**
+   * @param {object} options
+   * @param {() => void} [options.onPause] - Esc pressed (open the pause menu)
+   * @param {() => void} [options.onListMoves] - L pressed (say where the current rune can go)
+   * @param {(x: number, y: number) => void} [options.onCursorMove] - The keyboard cursor moved
+   * @param {boolean} [options.confirmPlacement] - Touch: first tap previews, second tap places
+   */
+  constructor(canvas, gameState, renderer, onUpdate, options = {}) {
     this.canvas = canvas;
     this.gameState = gameState;
     this.renderer = renderer;
     this.onUpdate = onUpdate;
+    this.onPause = options.onPause;
+    this.onListMoves = options.onListMoves;
+    this.onCursorMove = options.onCursorMove;
+    this.confirmPlacement = options.confirmPlacement ?? false;
 
-    this.boundHandleClick = this.handleClick.bind(this);
+    this.gesture = null; // active pointer press: { id, type, startX, startY, startTime, longPressTimer, handled }
+
+    this.boundHandlePointerDown = this.handlePointerDown.bind(this);
+    this.boundHandlePointerMove = this.handlePointerMove.bind(this);
+    this.boundHandlePointerUp = this.handlePointerUp.bind(this);
+    this.boundHandlePointerCancel = this.handlePointerCancel.bind(this);
+    this.boundHandlePointerLeave = this.handlePointerLeave.bind(this);
     this.boundHandleContextMenu = this.handleContextMenu.bind(this);
-    this.boundHandleMouseMove = this.handleMouseMove.bind(this);
+    this.boundHandleKeyDown = this.handleKeyDown.bind(this);
 
     this.setup();
   }
 
   setup() {
-    this.canvas.addEventListener('click', this.boundHandleClick);
+    this.canvas.addEventListener('pointerdown', this.boundHandlePointerDown);
+    this.canvas.addEventListener('pointermove', this.boundHandlePointerMove);
+    this.canvas.addEventListener('pointerup', this.boundHandlePointerUp);
+    this.canvas.addEventListener('pointercancel', this.boundHandlePointerCancel);
+    this.canvas.addEventListener('pointerleave', this.boundHandlePointerLeave);
     this.canvas.addEventListener('contextmenu', this.boundHandleContextMenu);
-    this.canvas.addEventListener('mousemove', this.boundHandleMouseMove);
+    document.addEventListener('keydown', this.boundHandleKeyDown);
   }
 
   destroy() {
-    this.canvas.removeEventListener('click', this.boundHandleClick);
+    this.canvas.removeEventListener('pointerdown', this.boundHandlePointerDown);
+    this.canvas.removeEventListener('pointermove', this.boundHandlePointerMove);
+    this.canvas.removeEventListener('pointerup', this.boundHandlePointerUp);
+    this.canvas.removeEventListener('pointercancel', this.boundHandlePointerCancel);
+    this.canvas.removeEventListener('pointerleave', this.boundHandlePointerLeave);
     this.canvas.removeEventListener('contextmenu', this.boundHandleContextMenu);
-    this.canvas.removeEventListener('mousemove', this.boundHandleMouseMove);
+    document.removeEventListener('keydown', this.boundHandleKeyDown);
+    this.cancelGesture();
+    this.renderer.keyboardCursor = null;
+    this.renderer.previewCell = null;
+  }
+
+  isInGrid(gx, gy) {
+    return gx >= 0 && gx < this.gameState.gridWidth && gy >= 0 && gy < this.gameState.gridHeight;
+  }
+
+  /**
+   * Keyboard play:
+   * - Arrows / WASD move the cursor, Enter / Space place (or apply a skull), F discards to the forge
+   * - L lists the squares the current rune can go on
+   * - Esc opens the pause menu
+   * - Ctrl+Z = undo, Ctrl+Y / Ctrl+Shift+Z = redo (Cmd on macOS)
+   */
+  handleKeyDown(e) {
+    const target = e.target;
+    if (target instanceof HTMLInputElement || target instanceof HTMLSelectElement) return; // leave form controls alone
+    const key = e.key.toLowerCase();
+
+    if (e.ctrlKey || e.metaKey) {
+      if (!e.altKey) this.handleUndoKey(e, key);
+      return;
+    }
+    if (e.altKey) return;
+
+    if (key === 'escape') {
+      e.preventDefault();
+      this.onPause?.();
+      return;
+    }
+    if (this.gameState.paused) return;
+
+    if (CURSOR_MOVES[key]) {
+      e.preventDefault();
+      const [dx, dy] = CURSOR_MOVES[key];
+      this.moveCursor(dx, dy);
+      return;
+    }
+
+    if (key === 'enter' || key === ' ') {
+      // A focused button handles its own Enter/Space
+      if (target instanceof HTMLButtonElement) return;
+      e.preventDefault();
+      if (!this.renderer.keyboardCursor) {
+        this.moveCursor(0, 0);
+        return;
+      }
+      const { x, y } = this.renderer.keyboardCursor;
+      this.actAt(x, y);
+      this.updateSelection(x, y);
+      return;
+    }
+
+    if (key === LIST_MOVES_KEY) {
+      e.preventDefault();
+      this.onListMoves?.();
+      return;
+    }
+
+    if (key === DISCARD_KEY) {
+      e.preventDefault();
+      this.discard();
+      const cursor = this.renderer.keyboardCursor;
+      if (cursor) this.updateSelection(cursor.x, cursor.y);
+    }
+  }
+
+  handleUndoKey(e, key) {
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    e.preventDefault();
+    if (this.gameState.paused || this.renderer.isBusy()) return;
+    const changed = isUndo ? this.gameState.undo() : this.gameState.redo();
+    if (changed) {
+      this.onUpdate?.();
+    }
+  }
+
+  /**
+   * Move the keyboard cursor, starting from the level's first wild on first use. Clamped to the grid.
+   */
+  moveCursor(dx, dy) {
+    const { gridWidth, gridHeight, level } = this.gameState;
+    const current = this.renderer.keyboardCursor ?? level.wilds[0] ?? { x: 0, y: 0 };
+    const x = Math.max(0, Math.min(gridWidth - 1, current.x + dx));
+    const y = Math.max(0, Math.min(gridHeight - 1, current.y + dy));
+    this.setCursor(x, y);
+    this.onCursorMove?.(x, y);
+  }
+
+  /** Put the keyboard cursor on (x, y), e.g. when a screen reader focuses that square */
+  setCursor(x, y) {
+    this.renderer.keyboardCursor = { x, y };
+    this.updateSelection(x, y);
   }
 
   handleContextMenu(e) {
     e.preventDefault();
+    // Touch long-press also fires contextmenu on some browsers; the gesture already handled it
+    if (this.gesture && this.gesture.type !== 'mouse') return;
     // Right-click anywhere on board = discard (spec)
+    this.discard();
+  }
+
+  discard() {
+    if (this.gameState.paused || this.renderer.isBusy()) return;
     if (this.gameState.currentRune && this.gameState.discardToForge()) {
       playForgeSound();
       this.onUpdate?.();
     }
   }
 
-  handleClick(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return; // right-click goes through contextmenu
+    if (!e.isPrimary) return;
+    this.cancelGesture();
+    this.canvas.setPointerCapture?.(e.pointerId);
+    this.gesture = {
+      id: e.pointerId,
+      type: e.pointerType,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: performance.now(),
+      longPressTimer: null,
+      handled: false,
+    };
+    if (e.pointerType !== 'mouse') {
+      this.gesture.longPressTimer = setTimeout(() => {
+        if (!this.gesture) return;
+        this.gesture.handled = true;
+        this.renderer.previewCell = null;
+        this.discard();
+      }, LONG_PRESS_MS);
+    }
+  }
 
-    const offset = this.renderer.getBoardOffset();
-    const { x: gx, y: gy } = this.gameState.screenToGrid(x, y, offset.x, offset.y);
+  handlePointerMove(e) {
+    const gesture = this.gesture;
+    if (gesture && gesture.id === e.pointerId) {
+      const moved = Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY);
+      if (moved > TAP_SLOP_PX && gesture.longPressTimer) {
+        clearTimeout(gesture.longPressTimer);
+        gesture.longPressTimer = null;
+      }
+    }
+    // Hover highlight follows the mouse, or a finger while it is down
+    if (e.pointerType === 'mouse' || gesture) {
+      this.renderer.keyboardCursor = null;
+      const { x: gx, y: gy } = this.eventToGrid(e);
+      this.updateSelection(gx, gy);
+    }
+  }
 
-    if (gx < 0 || gx >= this.gameState.gridWidth || gy < 0 || gy >= this.gameState.gridHeight) {
+  handlePointerUp(e) {
+    const gesture = this.gesture;
+    if (!gesture || gesture.id !== e.pointerId) return;
+    this.cancelGesture();
+    if (gesture.handled) return;
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+    const distance = Math.hypot(dx, dy);
+    const duration = performance.now() - gesture.startTime;
+
+    if (gesture.type !== 'mouse' && distance >= SWIPE_MIN_PX && duration <= SWIPE_MAX_MS) {
+      this.renderer.previewCell = null;
+      this.discard();
       return;
     }
+    if (distance > TAP_SLOP_PX && gesture.type !== 'mouse') return; // a drag, not a tap
+
+    const { x: gx, y: gy } = this.eventToGrid(e);
+    if (!this.isInGrid(gx, gy)) return;
+    this.handleTap(gx, gy, gesture.type);
+    if (gesture.type !== 'mouse') {
+      // No hover on touch - don't leave the highlight behind after the finger lifts
+      this.gameState.selectedCell = null;
+      const preview = this.renderer.previewCell;
+      if (preview) this.updateSelection(preview.x, preview.y);
+    }
+  }
+
+  handlePointerCancel() {
+    this.cancelGesture();
+  }
+
+  handlePointerLeave(e) {
+    if (e.pointerType === 'mouse') {
+      this.updateSelection(-1, -1);
+    }
+  }
+
+  cancelGesture() {
+    if (this.gesture?.longPressTimer) {
+      clearTimeout(this.gesture.longPressTimer);
+    }
+    this.gesture = null;
+  }
+
+  /**
+   * Tap/click on a cell. With confirmPlacement on touch, the first tap only previews the rune there.
+   */
+  handleTap(gx, gy, pointerType) {
+    if (this.confirmPlacement && pointerType !== 'mouse') {
+      const preview = this.renderer.previewCell;
+      const isLegal = this.gameState.canActAt(gx, gy);
+      if (!preview || preview.x !== gx || preview.y !== gy) {
+        this.renderer.previewCell = isLegal ? { x: gx, y: gy } : null;
+        return;
+      }
+    }
+    this.renderer.previewCell = null;
+    this.actAt(gx, gy);
+  }
+
+  /**
+   * Place the current rune at (gx, gy), remove the rune there when holding a skull, or use a special on it
+   */
+  actAt(gx, gy) {
+    // A row clearing or a skull striking finishes before the next move lands
+    if (this.gameState.paused || this.renderer.isBusy()) return;
 
     // Skull: click on rune to remove it
     if (this.gameState.currentRune?.isSkull) {
@@ -61,6 +317,16 @@ export class InputHandler {
       return;
     }
 
+    if (getSpecialKind(this.gameState.currentRune)) {
+      const result = this.gameState.useSpecial(gx, gy);
+      if (result.used) {
+        if (result.points > 0) this.renderer.addScorePopup(gx, gy, result.points);
+        playSpecialSound(result.kind);
+        this.onUpdate?.();
+      }
+      return;
+    }
+
     // Normal placement
     const result = this.gameState.placeRune(gx, gy);
     if (result.placed) {
@@ -74,24 +340,22 @@ export class InputHandler {
     }
   }
 
-  handleMouseMove(e) {
+  eventToGrid(e) {
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
-
     const offset = this.renderer.getBoardOffset();
-    const { x: gx, y: gy } = this.gameState.screenToGrid(x, y, offset.x, offset.y);
+    return this.gameState.screenToGrid(x, y, offset.x, offset.y);
+  }
 
-    if (gx >= 0 && gx < this.gameState.gridWidth && gy >= 0 && gy < this.gameState.gridHeight) {
-      if (this.gameState.currentRune?.isSkull) {
-        const canRemove = this.gameState.canSkullRemoveAt(gx, gy);
-        this.canvas.style.cursor = canRemove ? 'pointer' : 'default';
-        this.gameState.selectedCell = canRemove ? { x: gx, y: gy } : null;
-      } else {
-        const canPlace = this.gameState.canPlaceAt(gx, gy);
-        this.canvas.style.cursor = canPlace ? 'pointer' : 'default';
-        this.gameState.selectedCell = canPlace ? { x: gx, y: gy } : null;
-      }
+  /**
+   * Highlight (gx, gy) if the current rune can act there (placement, skull removal or a special)
+   */
+  updateSelection(gx, gy) {
+    if (this.isInGrid(gx, gy)) {
+      const canAct = this.gameState.canActAt(gx, gy);
+      this.canvas.style.cursor = canAct ? 'pointer' : 'default';
+      this.gameState.selectedCell = canAct ? { x: gx, y: gy } : null;
     } else {
       this.canvas.style.cursor = 'default';
       this.gameState.selectedCell = null;
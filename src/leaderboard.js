@@ -1,9 +1,45 @@
 /**
- * High score leaderboard using localStorage
+ * High score leaderboard.
+ * Scores are ranked within their mode and difficulty; each of those lists keeps its own top entries.
+ *
+ * The game talks to a LeaderboardBackend: LocalLeaderboard (this browser's localStorage) or
+ * HttpLeaderboard (a shared server, see server/leaderboard-server.js). createLeaderboard() wraps the
+ * server in a FallbackLeaderboard, which shows local scores and queues submissions and renames while it's unreachable.
+ * The entry helpers here are DOM-free so the server ranks scores exactly like the client.
  */
 
 const STORAGE_KEY = 'allthatglitters_highscores';
-const MAX_ENTRIES = 500;
+const QUEUE_KEY = 'allthatglitters_score_queue';
+const RENAME_QUEUE_KEY = 'allthatglitters_rename_queue';
+const STORAGE_VERSION = 2;
+export const MAX_ENTRIES = 500; // per mode and difficulty
+const REQUEST_TIMEOUT_MS = 4000;
+
+/**
+ * @typedef {object} LeaderboardFilter
+ * @property {string|null} [mode] - GAME_MODES key; omitted or null matches every mode
+ * @property {string|null} [difficulty] - DIFFICULTY_LEVELS key; omitted or null matches every difficulty
+ * @property {string} [period] - LEADERBOARD_PERIODS key (default 'all')
+ */
+
+/**
+ * @typedef {object} LeaderboardBackend
+ * @property {(entry: object) =>
+ *   Promise<{ madeList: boolean, date: string|null, ref: object|null, offline?: boolean, rejected?: string }>} submitScore
+ *   Store an entry from createEntry(). ref identifies it for renameEntry(); rejected is why the server refused it.
+ * @property {(filter: LeaderboardFilter, range: { offset: number, limit: number }) =>
+ *   Promise<{ entries: object[], total: number, offline?: boolean }>} fetchScores - One page of a view, best first
+ * @property {(filter: LeaderboardFilter, score: number, ref?: object|null) => Promise<number>} findRank
+ *   0-based position of the entry (by ref) in the view, or where a score that didn't make the list would sit
+ * @property {(ref: object, name: string) => Promise<boolean>} renameEntry
+ */
+
+/** Time windows for the leaderboard views */
+export const LEADERBOARD_PERIODS = {
+  today: 'Today',
+  week: 'This week',
+  all: 'All time',
+};
 
 /**
  * Generate a random "Player####" style name
@@ -14,55 +50,391 @@ export function generatePlayerName() {
 }
 
 /**
- * Load high scores from localStorage
+ * Version 1 was a bare array of { score, date, name, undoUsed?, preview? } with every mode and
+ * difficulty mixed together. Those games' mode is unknown, so they keep mode/difficulty null and
+ * only show up in the "all" views.
  */
-export function loadHighScores() {
+function migrateEntries(data) {
+  if (Array.isArray(data)) {
+    return data.map((entry) => ({ mode: null, difficulty: null, ...entry }));
+  }
+  if (data?.version === STORAGE_VERSION && Array.isArray(data.entries)) return data.entries;
+  return [];
+}
+
+function readEntries() {
   try {
     const data = localStorage.getItem(STORAGE_KEY);
-    if (!data) return [];
-    const parsed = JSON.parse(data);
-    return Array.isArray(parsed) ? parsed : [];
+    return data ? migrateEntries(JSON.parse(data)) : [];
   } catch {
     return [];
   }
 }
 
+/** @returns {boolean} whether the entries were stored */
+function writeEntries(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, entries }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Start of today, or of this week (Monday), in local time */
+function periodStart(period, now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (period === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Does the entry belong in this view? Omitted (or null) filter fields match everything.
+ * @param {LeaderboardFilter} filter
+ */
+export function matchesFilter(entry, filter = {}, now = new Date()) {
+  if (filter.mode && entry.mode !== filter.mode) return false;
+  if (filter.difficulty && entry.difficulty !== filter.difficulty) return false;
+  if (filter.period && filter.period !== 'all') {
+    if (!entry.date || new Date(entry.date) < periodStart(filter.period, now)) return false;
+  }
+  return true;
+}
+
+/**
+ * Entries in a view, best first
+ * @param {LeaderboardFilter} filter
+ */
+export function rankEntries(entries, filter = {}, now = new Date()) {
+  return entries
+    .filter((entry) => matchesFilter(entry, filter, now))
+    .sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+}
+
+/**
+ * Where a score that isn't on the list would rank: after every entry it doesn't beat
+ */
+export function rankOfScore(ranked, score) {
+  return ranked.filter((e) => (e.score ?? 0) >= score).length;
+}
+
+/**
+ * Keep the top MAX_ENTRIES of each mode and difficulty
+ */
+export function trimEntries(entries) {
+  const counts = new Map();
+  return [...entries]
+    .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+    .filter((entry) => {
+      const key = `${entry.mode}/${entry.difficulty}`;
+      const count = counts.get(key) ?? 0;
+      counts.set(key, count + 1);
+      return count < MAX_ENTRIES;
+    });
+}
+
 /**
- * Save a score to the leaderboard. Returns { madeList, date } - date is the new entry's timestamp for later name updates.
+ * What a leaderboard entry records about the game, beyond score and name
+ * @param {GameState} gameState
+ */
+export function createScoreDetails(gameState) {
+  return {
+    mode: gameState.gameMode,
+    difficulty: gameState.difficulty,
+    board: gameState.board,
+    boardsCleared: gameState.boardsCleared,
+    maxStreak: gameState.maxPlacementStreak,
+    seconds: gameState.getGameTimeSeconds(),
+    undoUsed: gameState.undoCount > 0,
+    preview: gameState.previewSize > 0,
+  };
+}
+
+/**
+ * A leaderboard entry for a finished game
  * @param {number} score
  * @param {string} name - Prefilled name (e.g. "Player8475")
+ * @param {object} details - See createScoreDetails(). undoUsed / preview mark entries from games that used undo or the next-rune preview
  */
-export function saveScore(score, name = '') {
-  const scores = loadHighScores();
+export function createEntry(score, name = '', details = {}) {
+  const { undoUsed, preview, ...rest } = details;
   const entry = {
     score,
     date: new Date().toISOString(),
     name: (name || '').trim(),
+    mode: rest.mode ?? null,
+    difficulty: rest.difficulty ?? null,
+    ...rest,
   };
-  scores.push(entry);
-  scores.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
-  const top = scores.slice(0, MAX_ENTRIES);
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(top));
-    const madeList = top.some((e) => e.score === score && e.date === entry.date);
-    return { madeList, date: entry.date };
-  } catch {
-    return { madeList: false, date: null };
-  }
+  if (undoUsed) entry.undoUsed = true;
+  if (preview) entry.preview = true;
+  return entry;
+}
+
+/**
+ * Load high scores from localStorage, best first
+ * @param {LeaderboardFilter} [filter]
+ */
+export function loadHighScores(filter = {}) {
+  return rankEntries(readEntries(), filter);
+}
+
+/**
+ * Save an entry from createEntry() to localStorage. Returns { madeList, date } - date is the entry's timestamp for later name updates.
+ */
+export function saveScore(entry) {
+  const top = trimEntries([...readEntries(), entry]);
+  if (!writeEntries(top)) return { madeList: false, date: null };
+  const madeList = top.some((e) => e.score === entry.score && e.date === entry.date);
+  return { madeList, date: entry.date };
 }
 
 /**
  * Update the name for an existing leaderboard entry (by score and date).
  */
 export function updateEntryName(score, date, name) {
-  const scores = loadHighScores();
-  const entry = scores.find((e) => e.score === score && e.date === date);
+  const entries = readEntries();
+  const entry = entries.find((e) => e.score === score && e.date === date);
   if (!entry) return false;
   entry.name = (name || '').trim();
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+  return writeEntries(entries);
+}
+
+/**
+ * Scores kept in this browser's localStorage
+ * @implements {LeaderboardBackend}
+ */
+export class LocalLeaderboard {
+  async submitScore(entry) {
+    const { madeList, date } = saveScore(entry);
+    return { madeList, date, ref: madeList ? { score: entry.score, date } : null };
+  }
+
+  async fetchScores(filter, { offset = 0, limit = Infinity } = {}) {
+    const ranked = loadHighScores(filter);
+    return { entries: ranked.slice(offset, offset + limit), total: ranked.length };
+  }
+
+  async findRank(filter, score, ref = null) {
+    const ranked = loadHighScores(filter);
+    const index = ref ? ranked.findIndex((e) => e.score === ref.score && e.date === ref.date) : -1;
+    return index >= 0 ? index : rankOfScore(ranked, score);
+  }
+
+  async renameEntry(ref, name) {
+    return updateEntryName(ref.score, ref.date, name);
+  }
+}
+
+/**
+ * Scores on a leaderboard server (see server/leaderboard-server.js). Every method rejects when the
+ * server can't be reached or answers with an error.
+ * @implements {LeaderboardBackend}
+ */
+export class HttpLeaderboard {
+  /**
+   * @param {string} baseUrl - e.g. "http://192.168.1.20:8787"
+   */
+  constructor(baseUrl, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const res = await fetch(`${this.baseUrl}${path}`, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+        signal: controller.signal,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const err = new Error(data.error ?? `Leaderboard server answered ${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static query(filter, extra = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...filter, ...extra })) {
+      if (value !== null && value !== undefined) params.set(key, String(value));
+    }
+    return params.toString();
+  }
+
+  async submitScore(entry) {
+    const { madeList, date, id, token } = await this.request('/scores', {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+    return { madeList, date, ref: madeList ? { id, token } : null };
+  }
+
+  async fetchScores(filter, { offset = 0, limit = 50 } = {}) {
+    const { entries, total } = await this.request(`/scores?${HttpLeaderboard.query(filter, { offset, limit })}`);
+    return { entries, total };
+  }
+
+  async findRank(filter, score, ref = null) {
+    const { rank } = await this.request(`/scores/rank?${HttpLeaderboard.query(filter, { score, id: ref?.id })}`);
+    return rank;
+  }
+
+  async renameEntry(ref, name) {
+    await this.request(`/scores/${encodeURIComponent(ref.id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ token: ref.token, name }),
+    });
     return true;
+  }
+}
+
+/** True for an error from a server that answered but refused the request, which sending again won't fix */
+function isRefusal(err) {
+  return err.status >= 400 && err.status < 500;
+}
+
+/**
+ * Read a queue kept for the server: QUEUE_KEY holds entries, RENAME_QUEUE_KEY { ref, name } renames
+ */
+function loadQueue(key) {
+  try {
+    const data = localStorage.getItem(key);
+    const parsed = data ? JSON.parse(data) : [];
+    return Array.isArray(parsed) ? parsed : [];
   } catch {
-    return false;
+    return [];
+  }
+}
+
+/** The flush in progress, shared by every FallbackLeaderboard as they share the one queue */
+let flushing = null;
+
+function saveQueue(key, queue) {
+  try {
+    localStorage.setItem(key, JSON.stringify(queue));
+  } catch {
+    // Storage unavailable - queued scores and renames are lost with the page
+  }
+}
+
+/**
+ * A server leaderboard that keeps working offline: every score is also saved locally, views fall back
+ * to local scores (flagged offline) when the server is unreachable, and submissions and renames that
+ * couldn't reach it are queued and sent the next time it answers.
+ * @implements {LeaderboardBackend}
+ */
+export class FallbackLeaderboard {
+  /**
+   * @param {LeaderboardBackend} remote
+   * @param {LeaderboardBackend} [local]
+   */
+  constructor(remote, local = new LocalLeaderboard()) {
+    this.remote = remote;
+    this.local = local;
+  }
+
+  /**
+   * Send queued submissions, oldest first, then queued renames. Stops at the first network failure and
+   * leaves the rest queued; one the server rejects outright (4xx) would never get in, so it's dropped.
+   * A call while a flush is running gets that flush, so no entry is sent twice.
+   * @returns {Promise<number>} how many were sent
+   */
+  flushQueue() {
+    flushing ??= this.sendQueue().finally(() => {
+      flushing = null;
+    });
+    return flushing;
   }
+
+  /** One pass over the queue, see flushQueue() */
+  async sendQueue() {
+    let sent = 0;
+    for (const entry of loadQueue(QUEUE_KEY)) {
+      try {
+        await this.remote.submitScore(entry);
+        sent += 1;
+      } catch (err) {
+        if (!isRefusal(err)) return sent;
+      }
+      saveQueue(QUEUE_KEY, loadQueue(QUEUE_KEY).filter((queued) => queued.date !== entry.date));
+    }
+    for (const { ref, name } of loadQueue(RENAME_QUEUE_KEY)) {
+      try {
+        await this.remote.renameEntry(ref, name);
+      } catch (err) {
+        if (!isRefusal(err)) break;
+      }
+      saveQueue(RENAME_QUEUE_KEY, loadQueue(RENAME_QUEUE_KEY).filter((queued) => queued.ref.id !== ref.id));
+    }
+    return sent;
+  }
+
+  async submitScore(entry) {
+    const local = await this.local.submitScore(entry);
+    try {
+      await this.flushQueue();
+      const remote = await this.remote.submitScore(entry);
+      return { ...remote, ref: { local: local.ref, remote: remote.ref } };
+    } catch (err) {
+      if (isRefusal(err)) return { ...local, rejected: err.message, ref: { local: local.ref } };
+      saveQueue(QUEUE_KEY, [...loadQueue(QUEUE_KEY), entry]);
+      return { ...local, offline: true, ref: { local: local.ref, queued: entry.date } };
+    }
+  }
+
+  async fetchScores(filter, range) {
+    try {
+      await this.flushQueue();
+      return await this.remote.fetchScores(filter, range);
+    } catch {
+      return { ...(await this.local.fetchScores(filter, range)), offline: true };
+    }
+  }
+
+  async findRank(filter, score, ref = null) {
+    try {
+      return await this.remote.findRank(filter, score, ref?.remote);
+    } catch {
+      return this.local.findRank(filter, score, ref?.local);
+    }
+  }
+
+  /** Renames the local copy straight away; a server rename that can't get through waits in the queue */
+  async renameEntry(ref, name) {
+    let renamed = false;
+    if (ref.local) renamed = await this.local.renameEntry(ref.local, name);
+    if (ref.queued) {
+      const queue = loadQueue(QUEUE_KEY);
+      saveQueue(QUEUE_KEY, queue.map((entry) => (entry.date === ref.queued ? { ...entry, name: name.trim() } : entry)));
+    }
+    if (ref.remote) {
+      // This name replaces any rename still waiting for the same entry
+      saveQueue(RENAME_QUEUE_KEY, loadQueue(RENAME_QUEUE_KEY).filter((queued) => queued.ref.id !== ref.remote.id));
+      try {
+        await this.remote.renameEntry(ref.remote, name);
+        renamed = true;
+      } catch (err) {
+        if (!isRefusal(err)) saveQueue(RENAME_QUEUE_KEY, [...loadQueue(RENAME_QUEUE_KEY), { ref: ref.remote, name }]);
+      }
+    }
+    return renamed;
+  }
+}
+
+/**
+ * Leaderboard for the game: the server at serverUrl (with local fallback), or local scores only
+ * @param {string} [serverUrl]
+ * @returns {LeaderboardBackend & { flushQueue?: () => Promise<number> }}
+ */
+export function createLeaderboard(serverUrl) {
+  const url = (serverUrl ?? '').trim();
+  return url ? new FallbackLeaderboard(new HttpLeaderboard(url)) : new LocalLeaderboard();
 }
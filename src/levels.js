@@ -0,0 +1,325 @@
+/**
+ * Level definitions: board shape, holes, pre-placed runes, starting wilds and rune pools.
+ *
+ * Levels are plain JSON:
+ * {
+ *   "id": "hourglass",
+ *   "name": "Hourglass",
+ *   "cells": [".........", "x..2.3..x", ...],  // one string per row (see CELL_CODES)
+ *   "wilds": [{ "x": 4, "y": 3 }],               // starting wild blocks
+ *   "runes": [{ "x": 0, "y": 0, "color": "azure", "symbol": "leo" }],  // optional pre-placed runes
+ *   "symbols": 8,                                // optional pool: a count, or a list of symbol names
+ *   "colors": ["crimson", "azure", "amber"],     // optional pool: a count, or a list of color names
+ *   "sequence": [{ "color": "azure", "symbol": "leo" }, "wild", "skull"],  // optional fixed first runes
+ *                                                // specials: "bomb", "line", "stone", { "transmuter": "azure" }
+ *   "sequenceOnly": true                         // optional: no random runes after the sequence
+ * }
+ * Pools default to getSymbolCountForBoard / getColorCountForBoard for the board being played.
+ * The sequence is dealt in order at the start of the board; random runes from the pools follow
+ * unless sequenceOnly is set, in which case the board runs out of runes with the sequence.
+ */
+
+import {
+  ZODIAC_SYMBOLS,
+  RUNE_COLORS,
+  getSymbolCountForBoard,
+  getColorCountForBoard,
+} from './constants.js';
+
+/** Cell codes used in the "cells" strings */
+export const CELL_CODES = {
+  '.': 'lead',
+  '2': 'lead', // double lead - two runes to gild
+  '3': 'lead', // triple lead
+  g: 'gold',
+  x: 'empty', // hole - not part of the board
+};
+
+/** Lead depth for the layered codes; plain lead has one layer */
+const LEAD_LAYERS = { '2': 2, '3': 3 };
+
+/** Sequence items that are a bare word rather than a { color, symbol } rune */
+export const SEQUENCE_WORDS = ['wild', 'skull', 'bomb', 'line', 'stone'];
+
+const DEFAULT_WIDTH = 9;
+const DEFAULT_HEIGHT = 8;
+const DEFAULT_WILD = { x: 4, y: 3 };
+
+/** Size limits for custom levels */
+export const MIN_LEVEL_SIZE = 3;
+export const MAX_LEVEL_SIZE = 12;
+
+/** Shaped boards are used from this board number on */
+export const SHAPED_BOARDS_FROM = 11;
+
+/** Layered lead in the standard progression: double from this board, triple from the next constant */
+export const DOUBLE_LEAD_FROM = 5;
+export const TRIPLE_LEAD_FROM = 9;
+const MAX_DOUBLE_LEAD = 12;
+const MAX_TRIPLE_LEAD = 6;
+
+/**
+ * Built-in shaped boards, played in order (and then repeated) after board 10
+ */
+export const BUILT_IN_LEVELS = [
+  {
+    id: 'hourglass',
+    name: 'Hourglass',
+    cells: [
+      '.........',
+      'x.......x',
+      'xx.....xx',
+      'xxx...xxx',
+      'xxx...xxx',
+      'xx.....xx',
+      'x.......x',
+      '.........',
+    ],
+    wilds: [{ x: 4, y: 3 }],
+  },
+  {
+    id: 'cross',
+    name: 'Cross',
+    cells: [
+      'xxx...xxx',
+      'xxx...xxx',
+      'xxx...xxx',
+      '.........',
+      '.........',
+      'xxx...xxx',
+      'xxx...xxx',
+      'xxx...xxx',
+    ],
+    wilds: [{ x: 4, y: 3 }],
+  },
+  {
+    id: 'ring',
+    name: 'Ring',
+    cells: [
+      '.........',
+      '.........',
+      '..xxxxx..',
+      '..xxxxx..',
+      '..xxxxx..',
+      '..xxxxx..',
+      '.........',
+      '.........',
+    ],
+    wilds: [{ x: 1, y: 1 }, { x: 7, y: 6 }],
+  },
+  {
+    id: 'diamond',
+    name: 'Diamond',
+    cells: [
+      'xxxx.xxxx',
+      'xxx...xxx',
+      'xx.....xx',
+      'x.......x',
+      'x.......x',
+      'xx.....xx',
+      'xxx...xxx',
+      'xxxx.xxxx',
+    ],
+    wilds: [{ x: 4, y: 3 }],
+  },
+  {
+    id: 'gilded-frame',
+    name: 'Gilded Frame',
+    cells: [
+      'ggggggggg',
+      'g.......g',
+      'g.......g',
+      'g.......g',
+      'g.......g',
+      'g.......g',
+      'g.......g',
+      'ggggggggg',
+    ],
+    wilds: [{ x: 2, y: 2 }, { x: 6, y: 5 }],
+    runes: [
+      { x: 0, y: 0, color: 'crimson', symbol: 'aries' },
+      { x: 8, y: 0, color: 'azure', symbol: 'leo' },
+      { x: 0, y: 7, color: 'amber', symbol: 'libra' },
+      { x: 8, y: 7, color: 'emerald', symbol: 'pisces' },
+    ],
+  },
+];
+
+function resolvePool(value, all, defaultCount, label) {
+  if (value === undefined || value === null) return all.slice(0, defaultCount);
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value) || value < 1 || value > all.length) {
+      throw new Error(`"${label}" count must be between 1 and ${all.length}`);
+    }
+    return all.slice(0, value);
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error(`"${label}" must be a count or a non-empty list`);
+  }
+  const unknown = value.find((v) => !all.includes(v));
+  if (unknown !== undefined) throw new Error(`Unknown ${label.replace(/s$/, '')} "${unknown}"`);
+  return [...new Set(value)];
+}
+
+function inBounds(level, { x, y }) {
+  return Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < level.width && y >= 0 && y < level.height;
+}
+
+/**
+ * Validate a level (parsed JSON) and normalize it for GameState.
+ * Throws an Error describing the first problem found.
+ * @param {object} data
+ * @param {number} board - Board number, used for default rune pools
+ */
+export function parseLevel(data, board = 1) {
+  if (!data || typeof data !== 'object') throw new Error('Level must be an object');
+  const rows = data.cells;
+  if (!Array.isArray(rows) || rows.length === 0) throw new Error('"cells" must be a non-empty list of rows');
+  const width = rows[0].length;
+  if (width === 0 || !rows.every((row) => typeof row === 'string' && row.length === width)) {
+    throw new Error('Every row in "cells" must be a string of the same length');
+  }
+  if (width > MAX_LEVEL_SIZE || rows.length > MAX_LEVEL_SIZE) {
+    throw new Error(`Levels can be at most ${MAX_LEVEL_SIZE}x${MAX_LEVEL_SIZE}`);
+  }
+
+  const level = {
+    id: data.id ?? 'custom',
+    name: data.name ?? 'Custom Level',
+    width,
+    height: rows.length,
+    cells: rows.map((row, y) => [...row].map((code, x) => {
+      const state = CELL_CODES[code];
+      if (!state) throw new Error(`Unknown cell code "${code}" at ${x},${y}`);
+      return { state, layers: state === 'lead' ? LEAD_LAYERS[code] ?? 1 : 0 };
+    })),
+    wilds: [],
+    runes: [],
+    sequence: [],
+    sequenceOnly: data.sequenceOnly === true,
+    symbols: resolvePool(data.symbols, ZODIAC_SYMBOLS, getSymbolCountForBoard(board), 'symbols'),
+    colors: resolvePool(data.colors, RUNE_COLORS, getColorCountForBoard(board), 'colors'),
+  };
+
+  const isPlayable = ({ x, y }) => level.cells[y][x].state !== 'empty';
+  const occupied = new Set();
+  const claim = (pos, what) => {
+    if (!inBounds(level, pos)) throw new Error(`${what} at ${pos.x},${pos.y} is off the board`);
+    if (!isPlayable(pos)) throw new Error(`${what} at ${pos.x},${pos.y} is on a hole`);
+    const key = `${pos.x},${pos.y}`;
+    if (occupied.has(key)) throw new Error(`Two runes at ${key}`);
+    occupied.add(key);
+  };
+
+  for (const wild of data.wilds ?? []) {
+    claim(wild, 'Wild');
+    level.wilds.push({ x: wild.x, y: wild.y });
+  }
+  for (const rune of data.runes ?? []) {
+    claim(rune, 'Rune');
+    if (!RUNE_COLORS.includes(rune.color)) throw new Error(`Unknown color "${rune.color}"`);
+    if (!ZODIAC_SYMBOLS.includes(rune.symbol)) throw new Error(`Unknown symbol "${rune.symbol}"`);
+    level.runes.push({ x: rune.x, y: rune.y, color: rune.color, symbol: rune.symbol });
+  }
+  if (data.sequence !== undefined && !Array.isArray(data.sequence)) throw new Error('"sequence" must be a list');
+  for (const item of data.sequence ?? []) {
+    if (SEQUENCE_WORDS.includes(item)) {
+      level.sequence.push(item);
+      continue;
+    }
+    if (item?.transmuter !== undefined) {
+      if (!RUNE_COLORS.includes(item.transmuter)) throw new Error(`Unknown transmuter color "${item.transmuter}" in sequence`);
+      level.sequence.push({ transmuter: item.transmuter });
+      continue;
+    }
+    if (!RUNE_COLORS.includes(item?.color)) throw new Error(`Unknown color "${item?.color}" in sequence`);
+    if (!ZODIAC_SYMBOLS.includes(item.symbol)) throw new Error(`Unknown symbol "${item.symbol}" in sequence`);
+    level.sequence.push({ color: item.color, symbol: item.symbol });
+  }
+  if (level.sequenceOnly && level.sequence.length === 0) throw new Error('"sequenceOnly" needs a sequence');
+  if (!level.cells.some((row) => row.some((c) => c.state !== 'empty'))) {
+    throw new Error('Level has no playable cells');
+  }
+  return level;
+}
+
+/**
+ * Level JSON as a compact URL-safe string (base64url of the UTF-8 JSON)
+ */
+export function encodeLevel(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Inverse of encodeLevel. Throws if the string isn't a level code;
+ * the result still needs parseLevel() to validate it.
+ */
+export function decodeLevel(code) {
+  try {
+    const binary = atob(String(code).trim().replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('Not a valid level code');
+  }
+}
+
+/**
+ * Level JSON for the classic board: all lead with one wild in the middle
+ */
+export function createDefaultLevelData(width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+  return {
+    id: 'classic',
+    name: 'Classic',
+    cells: Array.from({ length: height }, () => '.'.repeat(width)),
+    wilds: [{ x: Math.min(DEFAULT_WILD.x, width - 1), y: Math.min(DEFAULT_WILD.y, height - 1) }],
+  };
+}
+
+/**
+ * The classic board, parsed
+ */
+export function createDefaultLevel(board = 1, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+  return parseLevel(createDefaultLevelData(width, height), board);
+}
+
+/**
+ * Turn some plain lead cells into double/triple lead, more of them on later boards.
+ * Positions are a fixed scramble of the board number so every game (and replay) gets the same layout.
+ */
+function addLeadLayers(data, board) {
+  const doubles = Math.min(MAX_DOUBLE_LEAD, Math.max(0, (board - DOUBLE_LEAD_FROM + 1) * 2));
+  const triples = Math.min(MAX_TRIPLE_LEAD, Math.max(0, board - TRIPLE_LEAD_FROM + 1));
+  if (doubles + triples === 0) return data;
+
+  const occupied = new Set([...(data.wilds ?? []), ...(data.runes ?? [])].map(({ x, y }) => `${x},${y}`));
+  const candidates = [];
+  data.cells.forEach((row, y) => {
+    [...row].forEach((code, x) => {
+      if (code === '.' && !occupied.has(`${x},${y}`)) candidates.push({ x, y });
+    });
+  });
+  candidates.sort((a, b) => ((a.x * 31 + a.y * 17 + board * 7) % 97) - ((b.x * 31 + b.y * 17 + board * 7) % 97));
+
+  const cells = data.cells.map((row) => [...row]);
+  candidates.slice(0, triples + doubles).forEach(({ x, y }, i) => {
+    cells[y][x] = i < triples ? '3' : '2';
+  });
+  return { ...data, cells: cells.map((row) => row.join('')) };
+}
+
+/**
+ * Level for a board in the standard progression: classic boards, then the built-in shapes in rotation,
+ * with layered lead introduced gradually
+ */
+export function getLevelForBoard(board) {
+  const data = board < SHAPED_BOARDS_FROM
+    ? createDefaultLevelData()
+    : BUILT_IN_LEVELS[(board - SHAPED_BOARDS_FROM) % BUILT_IN_LEVELS.length];
+  return parseLevel(addLeadLayers(data, board), board);
+}
@@ -0,0 +1,129 @@
+/**
+ * Race lobby: join a room on the race server, see who's in it, and (as host) start the race
+ */
+
+import { RaceClient } from './race.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { DIFFICULTY_LEVELS } from './constants.js';
+
+/** "K7QF" - short enough to read out across the room */
+function generateRoomCode() {
+  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+}
+
+function renderPlayers(listEl, client) {
+  listEl.innerHTML = '';
+  client.players.forEach((player) => {
+    const li = document.createElement('li');
+    const info = document.createElement('span');
+    info.className = 'replay-list-info';
+    const name = document.createElement('strong');
+    name.textContent = player.name;
+    info.appendChild(name);
+    const notes = [player.id === client.hostId && 'host', player.id === client.playerId && 'you'].filter(Boolean);
+    if (notes.length > 0) info.appendChild(document.createTextNode(` (${notes.join(', ')})`));
+    li.appendChild(info);
+    listEl.appendChild(li);
+  });
+}
+
+/**
+ * Open the race lobby
+ * @param {object} options
+ * @param {string} options.difficulty - DIFFICULTY_LEVELS key the race is played at if you host it
+ * @param {(client: RaceClient, start: { seed: number, difficulty: string }) => void} options.onStart
+ *   Called when the race starts; the client stays connected for the race screen
+ */
+export function openRaceLobby({ difficulty, onStart }) {
+  const modalEl = document.getElementById('race-modal');
+  const formEl = document.getElementById('race-join-form');
+  const urlInput = document.getElementById('race-url-input');
+  const roomInput = document.getElementById('race-room-input');
+  const nameInput = document.getElementById('race-name-input');
+  const statusEl = document.getElementById('race-status');
+  const listEl = document.getElementById('race-lobby-list');
+  const joinBtn = document.getElementById('race-join-btn');
+  const startBtn = document.getElementById('race-start-btn');
+
+  const settings = loadSettings();
+  urlInput.value = settings.raceServerUrl;
+  roomInput.value = roomInput.value || generateRoomCode();
+  nameInput.value = settings.playerName;
+  let client = null;
+  let removeListener = null;
+
+  const showForm = (message) => {
+    formEl.hidden = false;
+    joinBtn.hidden = false;
+    startBtn.hidden = true;
+    listEl.innerHTML = '';
+    statusEl.textContent = message;
+  };
+
+  const disconnect = () => {
+    removeListener?.();
+    client?.close();
+    client = null;
+  };
+
+  const handleEvent = (event) => {
+    switch (event.type) {
+      case 'room': {
+        formEl.hidden = true;
+        joinBtn.hidden = true;
+        startBtn.hidden = !client.isHost;
+        startBtn.disabled = client.players.length < 2;
+        const { label } = DIFFICULTY_LEVELS[difficulty];
+        statusEl.textContent = client.isHost
+          ? `Room ${client.room} · ${label}. Start when everyone is in (2-4 players).`
+          : `Room ${client.room} · waiting for the host to start.`;
+        renderPlayers(listEl, client);
+        break;
+      }
+      case 'connection':
+        if (!event.connected) statusEl.textContent = event.reconnecting ? 'Connection lost, reconnecting…' : 'Disconnected.';
+        break;
+      case 'error':
+        if (event.fatal) {
+          disconnect();
+          showForm(event.message);
+        } else {
+          statusEl.textContent = event.message;
+        }
+        break;
+      case 'start': {
+        const started = client;
+        removeListener();
+        client = null;
+        modalEl.hidden = true;
+        onStart(started, event);
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  joinBtn.onclick = () => {
+    const url = urlInput.value.trim();
+    const room = roomInput.value.trim();
+    if (!url || !room) {
+      statusEl.textContent = 'Enter the race server and a room.';
+      return;
+    }
+    saveSettings({ raceServerUrl: url, playerName: nameInput.value.trim() });
+    client = new RaceClient(url, { room, name: nameInput.value });
+    removeListener = client.addListener(handleEvent);
+    statusEl.textContent = 'Connecting…';
+    client.connect();
+  };
+  startBtn.onclick = () => client?.start(difficulty);
+  document.getElementById('race-close-btn').onclick = () => {
+    disconnect();
+    modalEl.hidden = true;
+  };
+
+  showForm(`Share the room code with the other racers. Races are played at ${DIFFICULTY_LEVELS[difficulty].label} difficulty when you host.`);
+  modalEl.hidden = false;
+}
@@ -2,22 +2,115 @@
  * Entry point - initializes the game and main animation loop
  */
 
-import { GameState } from './game.js';
-import { Renderer, drawRune } from './renderer.js';
+import { GameState, getSpecialKind } from './game.js';
+import { Renderer, drawRune, drawMiniGrid, COLOR_PALETTES, setRuneStyle } from './renderer.js';
 import { InputHandler } from './input.js';
-import { loadHighScores, saveScore, updateEntryName, generatePlayerName } from './leaderboard.js';
-import { getRanking, DIFFICULTY_LEVELS, GAME_MODES } from './constants.js';
+import {
+  createLeaderboard,
+  createEntry,
+  createScoreDetails,
+  generatePlayerName,
+  matchesFilter,
+  LEADERBOARD_PERIODS,
+} from './leaderboard.js';
+import {
+  getRanking,
+  getGameConfig,
+  DIFFICULTY_LEVELS,
+  GAME_MODES,
+  FORGE_CAPACITY,
+  HINT_COOLDOWN_SECONDS,
+} from './constants.js';
 import { playForgeSound, playLoseSound, playWinSound } from './audio.js';
+import { normalizeSeed } from './random.js';
+import { saveGame, loadSavedGame, clearSavedGame } from './savegame.js';
+import { createReplay, saveReplay } from './replay.js';
+import { openReplayViewer, renderReplayList } from './viewer.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { findBestMove } from './strategies.js';
+import { openLevelEditor } from './editor.js';
+import { parseLevel, decodeLevel } from './levels.js';
+import {
+  PUZZLES,
+  getNextPuzzle,
+  describeGoal,
+  evaluatePuzzle,
+  createPuzzleGame,
+  loadPuzzleProgress,
+  recordPuzzleSolve,
+} from './puzzles.js';
+import { ACHIEVEMENTS, AchievementTracker, loadAchievements } from './achievements.js';
+import { recordGame } from './history.js';
+import { openStatsScreen } from './stats.js';
+import { createScoreProof, verifyEntry } from './verify.js';
+import { openRaceLobby } from './lobby.js';
+import {
+  THEMES,
+  getTheme,
+  applyTheme,
+  resolveTheme,
+  parseTheme,
+  loadCustomTheme,
+  saveCustomTheme,
+} from './themes.js';
+import { garbageForPlacement } from './race.js';
+import { setReducedMotion, isReducedMotion } from './animation.js';
+import {
+  Announcer,
+  GameAnnouncer,
+  AccessibleBoard,
+  describeRune,
+  describeCell,
+  describeSquare,
+  describeLegalSquares,
+} from './accessibility.js';
 
 const RUNE_PREVIEW_SIZE = 40;
+const TOAST_DURATION_MS = 4000;
+const VERSUS_MODE = 'versus'; // home screen mode button for two-player hot-seat games
 
-const CELL_SIZE = 48;
-const GRID_WIDTH = 9;
-const GRID_HEIGHT = 8;
-const FORGE_CAPACITY = 3;
+/** What the held rune does, shown under it when it isn't an ordinary rune */
+const RUNE_NOTES = {
+  skull: 'Skull: remove any rune except a wild',
+  bomb: 'Bomb: clears the runes around a cell',
+  transmuter: 'Transmuter: recolors a rune and its neighbours',
+  line: 'Line: takes a lead layer off a whole row',
+  stone: "Philosopher's stone: takes a layer off one lead cell",
+};
+
+const CELL_SIZE = 48; // largest cell size; shrinks to fit small screens
+const MIN_CELL_SIZE = 28;
+const CANVAS_MARGIN = 24; // space around the board inside the canvas (score popups rise into it)
 
 const PER_PAGE = 5;
 
+/**
+ * Seed from the ?seed= URL parameter, so a game can be replayed on identical runes.
+ * Only the next game gets it: the parameter is taken out of the URL, so Play Again deals fresh runes.
+ */
+function takeUrlSeed() {
+  const url = new URL(window.location.href);
+  const seed = normalizeSeed(url.searchParams.get('seed'));
+  if (seed !== null) {
+    url.searchParams.delete('seed');
+    window.history.replaceState(null, '', url);
+  }
+  return seed;
+}
+
+/** Level from the ?level= URL parameter (a shared editor link), or null */
+function getUrlLevel() {
+  const code = new URLSearchParams(window.location.search).get('level');
+  if (!code) return null;
+  try {
+    const level = decodeLevel(code);
+    parseLevel(level);
+    return level;
+  } catch {
+    return null;
+  }
+}
+
 function formatTime(seconds) {
   const m = Math.floor(seconds / 60);
   const s = seconds % 60;
@@ -31,16 +124,48 @@ function createRuneCanvas(rune, size) {
   canvas.style.width = `${size}px`;
   canvas.style.height = `${size}px`;
   const ctx = canvas.getContext('2d');
-  ctx.fillStyle = '#16213e';
+  ctx.fillStyle = getTheme().runes.previewBackground;
   ctx.fillRect(0, 0, size, size);
   drawRune(ctx, 0, 0, size, rune);
   return canvas;
 }
 
+/**
+ * Pick a cell size that fits the board on screen and size the canvas to match.
+ * On narrow screens the sidebar stacks below the board (see style.css), so width is the limit.
+ */
+function fitBoardToScreen(canvas, gameState, boards = 1) {
+  const stacked = window.matchMedia('(max-width: 720px)').matches;
+  // Versus boards sit side by side, or above each other on small screens
+  const availableWidth = (window.innerWidth - (stacked ? 24 : 260)) / (stacked ? 1 : boards) - CANVAS_MARGIN * 2;
+  const availableHeight = (window.innerHeight - (stacked ? 300 : 140)) / (stacked ? boards : 1) - CANVAS_MARGIN * 2;
+  const fit = Math.floor(Math.min(availableWidth / gameState.gridWidth, availableHeight / gameState.gridHeight));
+  const cellSize = Math.max(MIN_CELL_SIZE, Math.min(CELL_SIZE, fit));
+  gameState.cellSize = cellSize;
+  canvas.style.width = `${gameState.gridWidth * cellSize + CANVAS_MARGIN * 2}px`;
+  canvas.style.height = `${gameState.gridHeight * cellSize + CANVAS_MARGIN * 2}px`;
+  return cellSize;
+}
+
 function showHomeScreen() {
   document.getElementById('cursor-rune').style.visibility = 'hidden';
   document.getElementById('home-screen').classList.remove('hidden');
   document.getElementById('game-container').classList.add('hidden');
+  updateResumeButton();
+}
+
+/** Show "Resume" on the home screen when there is a saved game this build can load */
+function updateResumeButton() {
+  const resumeBtn = document.getElementById('home-resume-btn');
+  const saved = loadSavedGame();
+  if (!saved) {
+    resumeBtn.hidden = true;
+    return;
+  }
+  const modeLabel = saved.gameMode === GAME_MODES.time ? 'Time' : 'Strategic';
+  document.getElementById('resume-details').textContent =
+    `${modeLabel} · Board ${saved.board} · Score ${saved.score}`;
+  resumeBtn.hidden = false;
 }
 
 function hideHomeScreen() {
@@ -48,38 +173,101 @@ function hideHomeScreen() {
   document.getElementById('game-container').classList.remove('hidden');
 }
 
+/**
+ * Mode, difficulty and period tabs above the leaderboard
+ * @param {HTMLElement} filtersEl
+ * @param {{ mode: string|null, difficulty: string|null, period: string }} filter
+ * @param {(filter: object) => void} onChange
+ */
+function renderLeaderboardFilters(filtersEl, filter, onChange) {
+  const groups = [
+    ['mode', [[null, 'All modes'], [GAME_MODES.strategic, 'Strategic'], [GAME_MODES.time, 'Time']]],
+    ['difficulty', [[null, 'All'], ...Object.entries(DIFFICULTY_LEVELS).map(([key, d]) => [key, d.label])]],
+    ['period', Object.entries(LEADERBOARD_PERIODS)],
+  ];
+  filtersEl.innerHTML = '';
+  groups.forEach(([field, options]) => {
+    const group = document.createElement('div');
+    group.className = 'leaderboard-tabs';
+    group.setAttribute('role', 'group');
+    options.forEach(([value, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'leaderboard-tab';
+      btn.textContent = label;
+      btn.setAttribute('aria-pressed', String(filter[field] === value));
+      btn.onclick = () => onChange({ ...filter, [field]: value });
+      group.appendChild(btn);
+    });
+    filtersEl.appendChild(group);
+  });
+}
+
+/** verifyEntry() results for local entries by "score|date" - an entry's game never changes */
+const entryWarnings = new Map();
+
+/**
+ * Why an entry's score can't be trusted, or null. Local entries are re-played to catch scores
+ * edited in storage; server entries (with an id) were verified when they were submitted.
+ * Scores from older versions, with no replay or one under earlier rules, can't be checked and aren't flagged.
+ */
+function getEntryWarning(entry) {
+  if (entry.id || !entry.date) return null;
+  const key = `${entry.score}|${entry.date}`;
+  if (!entryWarnings.has(key)) {
+    const { valid, unverifiable, reason } = verifyEntry(entry);
+    entryWarnings.set(key, valid || unverifiable ? null : reason);
+  }
+  return entryWarnings.get(key);
+}
+
+/** "Board 7 · 3 cleared · streak 12 · 4:05" for entries that recorded it */
+function describeEntry(entry) {
+  if (entry.board === undefined) return '';
+  const parts = [`Board ${entry.board}`, `${entry.boardsCleared ?? 0} cleared`, `streak ${entry.maxStreak ?? 0}`];
+  if (entry.seconds !== undefined) parts.push(formatTime(entry.seconds));
+  const mode = entry.mode === GAME_MODES.time ? 'Time' : entry.mode ? 'Strategic' : null;
+  const difficulty = DIFFICULTY_LEVELS[entry.difficulty]?.label;
+  return [[mode, difficulty].filter(Boolean).join(' '), ...parts].filter(Boolean).join(' · ');
+}
+
+/**
+ * One page of the leaderboard. If the player's score didn't make the list it's shown as "You" at its rank.
+ * @param {object} options
+ * @param {object[]} options.entries - Stored entries for this page (without the player's "You" row)
+ * @param {number} options.total - Stored entries in the whole view
+ * @param {number|null} options.playerRank - 0-based rank of the player's score in the view, if it belongs there
+ * @param {boolean} [options.offline] - Server unreachable; these are this device's scores
+ * @param {string} [options.rejected] - Why the server refused the player's score, which is kept on this device only
+ */
 function renderLeaderboardList(listEl, belowEl, pageControlsEl, options = {}) {
-  const { highlightDate, highlightScore, currentPlayer, page = 1 } = options;
-  const scores = loadHighScores();
+  const { highlightDate, highlightScore, currentPlayer, page = 1, entries = [], total = 0, playerRank = null } = options;
 
-  // Build full ranked list for rank calculation (include current player if they didn't make it)
-  let ranked = [...scores];
-  let playerRank = null;
+  const startIdx = (page - 1) * PER_PAGE;
+  const ranked = [...entries];
   let playerEntry = null;
+  let viewTotal = total;
 
   if (currentPlayer) {
     if (currentPlayer.madeList) {
       const idx = ranked.findIndex((e) => e.date === currentPlayer.date && e.score === currentPlayer.score);
       if (idx >= 0) {
-        playerRank = idx + 1;
         playerEntry = { ...ranked[idx], name: currentPlayer.name ?? ranked[idx].name };
+        ranked[idx] = playerEntry;
+      }
+    } else if (playerRank !== null) {
+      // Didn't make list: show a virtual entry at the rank the score would have
+      viewTotal += 1;
+      if (playerRank >= startIdx && playerRank < startIdx + PER_PAGE) {
+        playerEntry = { score: currentPlayer.score, date: null, name: 'You' };
+        ranked.splice(Math.min(playerRank - startIdx, ranked.length), 0, playerEntry);
       }
-    } else {
-      // Didn't make list: add virtual entry to compute rank
-      const virtual = { score: currentPlayer.score, date: null, name: 'You' };
-      ranked.push(virtual);
-      ranked.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
-      playerRank = ranked.findIndex((e) => e === virtual) + 1;
-      playerEntry = virtual;
     }
   }
 
-  const totalPages = Math.max(1, Math.ceil(ranked.length / PER_PAGE));
+  const totalPages = Math.max(1, Math.ceil(viewTotal / PER_PAGE));
   const safePage = Math.max(1, Math.min(page, totalPages));
-  const startIdx = (safePage - 1) * PER_PAGE;
-  const toShow = ranked.slice(startIdx, startIdx + PER_PAGE);
-  const playerOnCurrentPage = playerEntry && playerRank >= startIdx + 1 && playerRank <= startIdx + toShow.length;
-
+  const toShow = ranked.slice(0, PER_PAGE);
   // List entries
   listEl.innerHTML = '';
   if (toShow.length === 0) {
@@ -100,16 +288,42 @@ function renderLeaderboardList(listEl, belowEl, pageControlsEl, options = {}) {
       const nameSpan = document.createElement('span');
       nameSpan.className = 'leaderboard-name';
       nameSpan.textContent = name;
+      if (entry.undoUsed) {
+        const undoMark = document.createElement('span');
+        undoMark.className = 'leaderboard-mark';
+        undoMark.textContent = '↶';
+        undoMark.title = 'Undo was used';
+        nameSpan.appendChild(undoMark);
+      }
+      if (entry.preview) {
+        const previewMark = document.createElement('span');
+        previewMark.className = 'leaderboard-mark';
+        previewMark.textContent = '⋯';
+        previewMark.title = 'Played with next-rune preview';
+        nameSpan.appendChild(previewMark);
+      }
+      const warning = getEntryWarning(entry);
+      if (warning) {
+        const warningMark = document.createElement('span');
+        warningMark.className = 'leaderboard-mark leaderboard-unverified';
+        warningMark.textContent = '⚠';
+        warningMark.title = `Unverified score: ${warning}`;
+        nameSpan.appendChild(warningMark);
+      }
+      const details = describeEntry(entry);
+      if (details) {
+        const detailsSpan = document.createElement('span');
+        detailsSpan.className = 'leaderboard-details';
+        detailsSpan.textContent = details;
+        nameSpan.appendChild(detailsSpan);
+      }
       const scoreSpan = document.createElement('span');
       scoreSpan.className = 'leaderboard-score';
       scoreSpan.textContent = String(entry.score);
       li.appendChild(rankSpan);
       li.appendChild(nameSpan);
       li.appendChild(scoreSpan);
-      const isCurrentPlayer = playerEntry && (
-        entry === playerEntry ||
-        (currentPlayer?.madeList && entry.date === currentPlayer.date && entry.score === currentPlayer.score)
-      );
+      const isCurrentPlayer = playerEntry && entry === playerEntry;
       if (isCurrentPlayer) {
         li.classList.add('leaderboard-current-player');
       }
@@ -120,12 +334,12 @@ function renderLeaderboardList(listEl, belowEl, pageControlsEl, options = {}) {
     });
   }
 
-  // Only show user's score on the page they're on (no "below the line")
-  belowEl.innerHTML = '';
+  if (options.rejected) belowEl.textContent = `${options.rejected}. Your score is saved on this device only.`;
+  else belowEl.textContent = options.offline ? 'Leaderboard server unreachable - showing scores saved on this device.' : '';
 
   // Page controls
   pageControlsEl.innerHTML = '';
-  if (ranked.length > PER_PAGE) {
+  if (viewTotal > PER_PAGE) {
     const prevBtn = document.createElement('button');
     prevBtn.type = 'button';
     prevBtn.className = 'leaderboard-page-btn';
@@ -135,7 +349,7 @@ function renderLeaderboardList(listEl, belowEl, pageControlsEl, options = {}) {
 
     const pageInfo = document.createElement('span');
     pageInfo.className = 'leaderboard-page-info';
-    pageInfo.textContent = `${startIdx + 1}–${Math.min(startIdx + PER_PAGE, ranked.length)} of ${ranked.length}`;
+    pageInfo.textContent = `${startIdx + 1}–${Math.min(startIdx + PER_PAGE, viewTotal)} of ${viewTotal}`;
 
     const nextBtn = document.createElement('button');
     nextBtn.type = 'button';
@@ -154,90 +368,108 @@ function showGameOverModal(gameState) {
   playLoseSound();
   const score = gameState.score;
   const randomName = generatePlayerName();
-  const { madeList, date } = saveScore(score, randomName);
+  const details = { ...createScoreDetails(gameState), proof: createScoreProof(gameState) };
+  const entry = createEntry(score, randomName, details);
+  const leaderboard = createLeaderboard(loadSettings().leaderboardUrl);
+  const replay = createReplay(gameState);
+  saveReplay(replay);
+  recordGame(gameState);
+  document.getElementById('watch-replay-btn').onclick = () => openReplayViewer(replay);
 
   const modal = document.getElementById('game-over-modal');
   document.getElementById('final-score').textContent = score;
   const { title } = getRanking(score);
   document.getElementById('final-ranking').textContent = title;
+  document.getElementById('final-seed').textContent = gameState.seed;
 
   const nameEntryEl = document.querySelector('.name-entry');
   const nameInput = document.getElementById('highscore-name');
   const nameSaveBtn = document.getElementById('highscore-save-btn');
   nameInput.value = randomName;
   nameInput.placeholder = 'Enter your name';
-  nameEntryEl.hidden = !madeList;
+  nameEntryEl.hidden = true; // until the score is stored and known to have made the list
 
   const listEl = document.getElementById('leaderboard-list');
   const belowEl = document.getElementById('leaderboard-below');
   const pageControlsEl = document.getElementById('leaderboard-pages');
+  const filtersEl = document.getElementById('leaderboard-filters');
+
+  // Open on this game's own mode and difficulty
+  let filter = { mode: details.mode, difficulty: details.difficulty, period: 'all' };
+  let submission = { madeList: false, date: null, ref: null };
+  let currentPage = 1;
+  let lastView = null; // last fetched page, redrawn while the name is typed
+  let renderCount = 0; // only the latest request may draw
 
-  const getCurrentPlayer = () => ({
+  // The player only appears in views their game belongs to
+  const getCurrentPlayer = () => (matchesFilter(entry, filter) ? {
     score,
-    date: madeList ? date : null,
+    date: submission.madeList ? submission.date : null,
     name: nameInput.value.trim(),
-    madeList,
-  });
-
-  // Start on player's page (whether they made the list or not)
-  const scores = loadHighScores();
-  let ranked = [...scores];
-  if (!madeList) {
-    const virtual = { score, date: null, name: 'You' };
-    ranked.push(virtual);
-    ranked.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
-  }
-  const playerIdx = madeList && date
-    ? ranked.findIndex((e) => e.date === date && e.score === score)
-    : ranked.findIndex((e) => e.name === 'You' && e.score === score);
-  const initialPage = playerIdx >= 0 ? Math.floor(playerIdx / PER_PAGE) + 1 : 1;
-
-  let currentPage = initialPage;
+    madeList: submission.madeList,
+  } : null);
 
-  const doRender = (animate = false) => {
-    if (animate && madeList && date) {
-      const idx = scores.findIndex((e) => e.date === date && e.score === score);
-      if (idx >= 0) currentPage = Math.floor(idx / PER_PAGE) + 1;
-    }
+  const draw = (animate = false) => {
+    if (!lastView) return;
     renderLeaderboardList(listEl, belowEl, pageControlsEl, {
-      highlightDate: animate ? date : null,
+      ...lastView,
+      highlightDate: animate ? submission.date : null,
       highlightScore: animate ? score : null,
       currentPlayer: getCurrentPlayer(),
       page: currentPage,
       onPageChange: (newPage) => {
         currentPage = newPage;
-        doRender(false);
+        doRender();
       },
     });
   };
 
-  doRender();
+  /**
+   * Fetch and draw the current page. toPlayer jumps to the page the player's score is on.
+   */
+  const doRender = async (animate = false, { toPlayer = false } = {}) => {
+    const request = ++renderCount;
+    renderLeaderboardFilters(filtersEl, filter, (newFilter) => {
+      filter = newFilter;
+      doRender(false, { toPlayer: true });
+    });
+    const player = getCurrentPlayer();
+    const playerRank = player ? await leaderboard.findRank(filter, score, submission.ref) : null;
+    if (toPlayer) currentPage = playerRank !== null ? Math.floor(playerRank / PER_PAGE) + 1 : 1;
 
-  if (madeList && date) {
-    const updateDisplay = (animate = false) => {
-      const name = nameInput.value.trim();
-      if (updateEntryName(score, date, name)) {
-        doRender(animate);
-      }
-    };
-    const triggerSave = () => {
+    // A "You" row for a score that didn't make the list takes a slot on its page and pushes later pages down one
+    const startIdx = (currentPage - 1) * PER_PAGE;
+    const hasVirtual = player && !submission.madeList && playerRank !== null;
+    const virtualOnPage = hasVirtual && playerRank >= startIdx && playerRank < startIdx + PER_PAGE;
+    const offset = hasVirtual && playerRank < startIdx ? startIdx - 1 : startIdx;
+    const page = await leaderboard.fetchScores(filter, { offset, limit: virtualOnPage ? PER_PAGE - 1 : PER_PAGE });
+    if (request !== renderCount) return;
+    lastView = { entries: page.entries, total: page.total, playerRank, offline: page.offline, rejected: submission.rejected };
+    draw(animate);
+  };
+
+  listEl.innerHTML = '';
+  belowEl.textContent = 'Loading scores…';
+  leaderboard.submitScore(entry).then((result) => {
+    submission = result;
+    nameEntryEl.hidden = !result.madeList;
+    doRender(false, { toPlayer: true });
+  });
+
+  const saveName = async () => {
+    if (!submission.ref) return;
+    await leaderboard.renameEntry(submission.ref, nameInput.value.trim());
+    doRender(true, { toPlayer: true });
+  };
+  nameInput.oninput = () => draw(false);
+  nameInput.onblur = saveName;
+  nameInput.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
       nameInput.blur();
-    };
-    nameInput.oninput = () => updateDisplay(false);
-    nameInput.onblur = () => updateDisplay(true);
-    nameInput.onkeydown = (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        triggerSave();
-      }
-    };
-    nameSaveBtn.onclick = triggerSave;
-  } else {
-    nameInput.oninput = null;
-    nameInput.onblur = null;
-    nameInput.onkeydown = null;
-    nameSaveBtn.onclick = null;
-  }
+    }
+  };
+  nameSaveBtn.onclick = () => nameInput.blur();
 
   document.getElementById('cursor-rune').style.visibility = 'hidden';
   modal.hidden = false;
@@ -267,51 +499,515 @@ function hideLevelCompleteModal() {
 }
 
 function createGameState(mode, difficulty) {
-  const diff = DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS.easy;
-  const isTimeMode = mode === GAME_MODES.time;
   return new GameState({
-    gridWidth: GRID_WIDTH,
-    gridHeight: GRID_HEIGHT,
+    ...getGameConfig(mode, difficulty, { showPreview: loadSettings().showPreview, seed: takeUrlSeed() }),
+    cellSize: CELL_SIZE,
+  });
+}
+
+/**
+ * Open the level editor; play-testing returns to it with the level still loaded
+ */
+function openEditor(level, message) {
+  openLevelEditor({ level, message, onPlayTest: playTestLevel });
+}
+
+function playTestLevel(level) {
+  const gameState = new GameState({
+    level,
     cellSize: CELL_SIZE,
     forgeCapacity: FORGE_CAPACITY,
-    skillLevel: diff.startBoard,
-    startBoard: diff.startBoard,
-    gameMode: mode,
-    timePerBoard: isTimeMode ? diff.timePerBoard : 60,
+    gameMode: GAME_MODES.strategic,
+  });
+  startGame(gameState, {
+    playTest: true,
+    onExit: (finished) => {
+      showHomeScreen();
+      openEditor(level, `Play-test ended: ${finished.score} points, ${finished.boardsCleared} boards cleared`);
+    },
+  });
+}
+
+/**
+ * Hot-seat versus: a board per player, both fed the same rune sequence, players taking turns.
+ * No undo, and nothing is saved, recorded or ranked.
+ */
+function startVersusGame(difficulty) {
+  const config = {
+    ...getGameConfig(GAME_MODES.strategic, difficulty, { showPreview: loadSettings().showPreview, seed: takeUrlSeed() }),
+    undoLimit: 0,
+    cellSize: CELL_SIZE,
+  };
+  const first = new GameState(config);
+  startGame([first, new GameState({ ...config, seed: first.seed })]);
+}
+
+/**
+ * Networked race: time-mode rules on the seed the race server dealt, without undo
+ * @param {RaceClient} client - Connected to the race's room (see lobby.js)
+ */
+function startRaceGame(client, { seed, difficulty }) {
+  startGame(new GameState({
+    ...getGameConfig(GAME_MODES.time, difficulty, { showPreview: loadSettings().showPreview, seed }),
+    undoLimit: 0,
+    cellSize: CELL_SIZE,
+  }), { race: client });
+}
+
+function startPuzzle(puzzle) {
+  startGame(createPuzzleGame(puzzle, { cellSize: CELL_SIZE, forgeCapacity: FORGE_CAPACITY }), {
+    puzzle,
+    onExit: () => {
+      showHomeScreen();
+      showPuzzleList();
+    },
+  });
+}
+
+/**
+ * Fill and show the puzzle select list, with completion and best results
+ */
+function showPuzzleList() {
+  const listEl = document.getElementById('puzzle-list');
+  const progress = loadPuzzleProgress();
+  listEl.innerHTML = '';
+  PUZZLES.forEach((puzzle, i) => {
+    const result = progress[puzzle.id];
+    const li = document.createElement('li');
+    const info = document.createElement('span');
+    info.className = 'replay-list-info';
+    const name = document.createElement('strong');
+    name.textContent = `${i + 1}. ${puzzle.name}`;
+    if (result?.solved) name.classList.add('puzzle-solved');
+    info.appendChild(name);
+    info.appendChild(document.createElement('br'));
+    info.appendChild(document.createTextNode(describeGoal(puzzle.goal)));
+    if (result?.solved) {
+      info.appendChild(document.createElement('br'));
+      info.appendChild(document.createTextNode(`✓ Best ${result.bestScore} pts · ${result.fewestMoves} moves`));
+    }
+    const playBtn = document.createElement('button');
+    playBtn.type = 'button';
+    playBtn.className = 'leaderboard-page-btn';
+    playBtn.textContent = result?.solved ? 'Replay' : 'Play';
+    playBtn.onclick = () => {
+      document.getElementById('puzzles-modal').hidden = true;
+      startPuzzle(puzzle);
+    };
+    li.appendChild(info);
+    li.appendChild(playBtn);
+    listEl.appendChild(li);
   });
+  document.getElementById('puzzles-modal').hidden = false;
 }
 
-function startGame(mode, difficulty) {
+/**
+ * Brief "Achievement unlocked" notice in the corner of the game screen
+ */
+function showAchievementToast(achievement) {
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  const title = document.createElement('strong');
+  title.textContent = `🏆 ${achievement.name}`;
+  toast.appendChild(document.createTextNode('Achievement unlocked'));
+  toast.appendChild(document.createElement('br'));
+  toast.appendChild(title);
+  document.getElementById('toast-container').appendChild(toast);
+  setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+function showAchievementList() {
+  const listEl = document.getElementById('achievement-list');
+  const unlocked = loadAchievements();
+  listEl.innerHTML = '';
+  ACHIEVEMENTS.forEach((achievement) => {
+    const date = unlocked[achievement.id];
+    const li = document.createElement('li');
+    li.classList.toggle('locked', !date);
+    const info = document.createElement('span');
+    info.className = 'replay-list-info';
+    const name = document.createElement('strong');
+    name.textContent = `${date ? '🏆' : '🔒'} ${achievement.name}`;
+    info.appendChild(name);
+    info.appendChild(document.createElement('br'));
+    info.appendChild(document.createTextNode(achievement.description));
+    if (date) {
+      info.appendChild(document.createElement('br'));
+      info.appendChild(document.createTextNode(`Unlocked ${new Date(date).toLocaleDateString()}`));
+    }
+    li.appendChild(info);
+    listEl.appendChild(li);
+  });
+  const count = ACHIEVEMENTS.filter((a) => unlocked[a.id]).length;
+  document.getElementById('achievement-count').textContent = `${count} / ${ACHIEVEMENTS.length} unlocked`;
+  document.getElementById('achievements-modal').hidden = false;
+}
+
+/**
+ * @param {GameState|GameState[]} initialState - Several states make a hot-seat versus game (see startVersusGame)
+ * @param {object} options
+ * @param {boolean} [options.playTest] - Editor play-test: no autosave, leaderboard or replay; game over returns to the editor
+ * @param {object} [options.puzzle] - Puzzle being played (see puzzles.js): its goal replaces game over and board complete
+ * @param {RaceClient} [options.race] - Networked race: opponents' progress in the sidebar, garbage sent and received
+ * @param {(gameState: GameState) => void} [options.onExit] - Called instead of showing the home screen when the player leaves
+ */
+function startGame(initialState, options = {}) {
+  const { playTest = false, puzzle = null, race = null, onExit } = options;
   hideHomeScreen();
 
-  const canvas = document.getElementById('game-canvas');
   const scoreEl = document.getElementById('score');
   const boardEl = document.getElementById('board');
   const cursorRuneEl = document.getElementById('cursor-rune');
+  const currentRuneEl = document.getElementById('current-rune-display');
+  const runeNoteEl = document.getElementById('current-rune-note');
+  const previewQueueEl = document.getElementById('preview-queue');
+  const previewRunesEl = document.getElementById('preview-runes');
+  let shownQueueKey = null;
+  let shownRuneKey = null; // redraw rune previews only when the rune changes
+  let pointerIsMouse = false; // the floating rune only makes sense next to a mouse cursor
   const forgeDisplayEl = document.getElementById('forge-display');
+  forgeDisplayEl.dataset.fill = ''; // redraw: the last game's runes, maybe in another palette
 
-  let gameState = createGameState(mode, difficulty);
-  let renderer = new Renderer(canvas, gameState);
+  // One seat per player, each with its own board; gameState, canvas and renderer belong to the player to move
+  const versus = Array.isArray(initialState);
+  const seats = (versus ? initialState : [initialState]).map((state, i) => {
+    const seatEl = document.getElementById(`seat-${i + 1}`);
+    return {
+      name: `Player ${i + 1}`,
+      gameState: state,
+      seatEl,
+      canvas: seatEl.querySelector('canvas'),
+      renderer: new Renderer(seatEl.querySelector('canvas'), state),
+      shownRuneKey: null,
+    };
+  });
+  document.getElementById('seat-2').hidden = !versus;
+  document.querySelectorAll('.seat-hud').forEach((el) => { el.hidden = !versus; });
+  const turnEl = document.getElementById('turn-display');
+  turnEl.hidden = !versus && !race;
+  if (race) turnEl.textContent = `Room ${race.room}`;
+  document.getElementById('race-racers').hidden = !race;
+  const raceDroppedEl = document.getElementById('race-dropped');
+  raceDroppedEl.hidden = true;
+
+  let seat = seats[0];
+  let { gameState, canvas, renderer } = seat;
+  previewQueueEl.hidden = gameState.previewSize <= 0;
   let inputHandler = null;
   let gameOver = false;
   let levelComplete = false;
+  let active = true; // false once the player leaves for the home screen
+  // Play-testing a level in the editor doesn't earn achievements, nor do versus and race games
+  const achievementTracker = playTest || versus || race ? null : new AchievementTracker(gameState, showAchievementToast);
+
+  const puzzleGoalEl = document.getElementById('puzzle-goal');
+  const puzzleProgressEl = document.getElementById('puzzle-progress');
+  const puzzleResultEl = document.getElementById('puzzle-result-modal');
+  puzzleGoalEl.hidden = !puzzle;
+  puzzleResultEl.hidden = true;
+  if (puzzle) document.getElementById('puzzle-goal-text').textContent = describeGoal(puzzle.goal);
+
+  /**
+   * Puzzle mode: update the goal checklist and end the game once the puzzle is solved or can't be
+   */
+  function checkPuzzle() {
+    const { status, reason, progress } = evaluatePuzzle(puzzle, gameState);
+    puzzleProgressEl.innerHTML = '';
+    progress.forEach(({ label, done }) => {
+      const li = document.createElement('li');
+      li.textContent = label;
+      li.classList.toggle('done', done);
+      puzzleProgressEl.appendChild(li);
+    });
+    if (status === 'playing') return;
+
+    gameOver = true;
+    inputHandler?.destroy();
+    const solved = status === 'solved';
+    if (solved) {
+      if (gameState.isLevelComplete()) gameState.completeBoard();
+      playWinSound();
+    } else {
+      playLoseSound();
+    }
+    const best = solved
+      ? recordPuzzleSolve(puzzle.id, { score: gameState.score, moves: gameState.moveCount })
+      : loadPuzzleProgress()[puzzle.id];
+    const next = getNextPuzzle(puzzle.id);
+
+    document.getElementById('puzzle-result-title').textContent = solved ? 'Puzzle Solved!' : 'Puzzle Failed';
+    document.getElementById('puzzle-result-message').textContent = solved
+      ? (best.newBest ? 'New best score!' : describeGoal(puzzle.goal))
+      : `${reason}. ${describeGoal(puzzle.goal)}.`;
+    announcer.announce(
+      `${document.getElementById('puzzle-result-title').textContent} ${document.getElementById('puzzle-result-message').textContent}`,
+      { assertive: true },
+    );
+    document.getElementById('puzzle-result-score').textContent = gameState.score;
+    document.getElementById('puzzle-result-moves').textContent = gameState.moveCount;
+    document.getElementById('puzzle-result-best').textContent = best?.solved
+      ? `${best.bestScore} pts · ${best.fewestMoves} moves`
+      : '—';
+
+    const nextBtn = document.getElementById('puzzle-next-btn');
+    nextBtn.hidden = !solved || !next;
+    nextBtn.onclick = () => {
+      puzzleResultEl.hidden = true;
+      active = false;
+      startPuzzle(next);
+    };
+    const puzzleUndoBtn = document.getElementById('puzzle-undo-btn');
+    puzzleUndoBtn.hidden = solved || !gameState.canUndo();
+    puzzleUndoBtn.onclick = () => {
+      puzzleResultEl.hidden = true;
+      gameOver = false;
+      gameState.undo();
+      inputHandler = new InputHandler(canvas, gameState, renderer, onAction, inputOptions);
+      onAction();
+    };
+    document.getElementById('puzzle-retry-btn').onclick = () => {
+      puzzleResultEl.hidden = true;
+      active = false;
+      startPuzzle(puzzle);
+    };
+    document.getElementById('puzzle-list-btn').onclick = () => {
+      puzzleResultEl.hidden = true;
+      leaveGame();
+    };
+    puzzleResultEl.hidden = false;
+  }
+
+  /**
+   * Versus: the match ends as soon as either player's forge overflows; the higher score wins
+   */
+  function checkVersusOver() {
+    const overflowed = seats.find((s) => s.gameState.isGameOver());
+    if (!overflowed) return;
+    gameOver = true;
+    inputHandler?.destroy();
+    playWinSound();
+
+    const best = Math.max(...seats.map((s) => s.gameState.score));
+    const winners = seats.filter((s) => s.gameState.score === best);
+    document.getElementById('versus-result-title').textContent = winners.length > 1
+      ? "It's a draw!"
+      : `${winners[0].name} wins!`;
+    document.getElementById('versus-result-message').textContent =
+      `${overflowed.name}'s forge overflowed on board ${overflowed.gameState.board}.`;
+    announcer.announce(
+      `${document.getElementById('versus-result-title').textContent} ${document.getElementById('versus-result-message').textContent}`,
+      { assertive: true },
+    );
+    const rowsEl = document.getElementById('versus-result-rows');
+    rowsEl.innerHTML = '';
+    seats.forEach(({ name, gameState: state }) => {
+      const row = document.createElement('tr');
+      [name, state.score, state.board, state.boardsCleared, state.discards].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      rowsEl.appendChild(row);
+    });
+
+    const resultEl = document.getElementById('versus-result-modal');
+    document.getElementById('versus-rematch-btn').onclick = () => {
+      resultEl.hidden = true;
+      active = false;
+      startVersusGame(seats[0].gameState.difficulty);
+    };
+    document.getElementById('versus-home-btn').onclick = () => {
+      resultEl.hidden = true;
+      leaveGame();
+    };
+    resultEl.hidden = false;
+  }
+
+  /**
+   * Race: the other racers' score, board, forge and a miniature of their board
+   */
+  function renderRacers() {
+    const listEl = document.getElementById('race-racer-list');
+    listEl.innerHTML = '';
+    race.players.filter((p) => p.id !== race.playerId).forEach(({ name, connected, finished, progress }) => {
+      const li = document.createElement('li');
+      li.classList.toggle('offline', !connected);
+      li.classList.toggle('finished', finished);
+      if (progress?.grid) {
+        const mini = document.createElement('canvas');
+        drawMiniGrid(mini, progress.grid, 5);
+        li.appendChild(mini);
+      }
+      const info = document.createElement('span');
+      const nameEl = document.createElement('strong');
+      nameEl.textContent = name;
+      info.appendChild(nameEl);
+      info.appendChild(document.createElement('br'));
+      const details = progress?.board
+        ? [`${progress.score} pts`, `board ${progress.board}`, `forge ${progress.forge}/${progress.forgeCapacity}`]
+        : ['starting…'];
+      if (!connected) details.push('offline');
+      else if (finished) details.push('out');
+      info.appendChild(document.createTextNode(details.join(' · ')));
+      li.appendChild(info);
+      listEl.appendChild(li);
+    });
+  }
+
+  /**
+   * Race: standings once this player is out, final when the server sends the results
+   * @param {object[]} [standings] - From the server's results; live standings otherwise
+   */
+  function showRaceResults(standings = null) {
+    const final = standings !== null;
+    const rows = (standings ?? race.players.map((p) => (
+      p.id === race.playerId ? { ...p, progress: { ...p.progress, score: gameState.score, board: gameState.board } } : p
+    ))).slice().sort((a, b) => (b.progress?.score ?? 0) - (a.progress?.score ?? 0));
+
+    const place = rows.findIndex((p) => p.id === race.playerId) + 1;
+    document.getElementById('race-result-title').textContent = !final
+      ? 'Game Over'
+      : place === 1 ? 'You win!' : `${rows[0].name} wins!`;
+    document.getElementById('race-result-message').textContent = final
+      ? `You finished ${place} of ${rows.length} with ${gameState.score} points.`
+      : `${gameState.score} points. Waiting for the other racers to finish…`;
+    const rowsEl = document.getElementById('race-result-rows');
+    rowsEl.innerHTML = '';
+    rows.forEach(({ id, name, connected, finished, progress }) => {
+      const row = document.createElement('tr');
+      const status = finished ? 'Out' : connected ? 'Racing' : 'Offline';
+      [id === race.playerId ? `${name} (you)` : name, progress?.score ?? 0, progress?.board ?? '—', status].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      rowsEl.appendChild(row);
+    });
+
+    const resultEl = document.getElementById('race-result-modal');
+    document.getElementById('race-home-btn').onclick = () => {
+      resultEl.hidden = true;
+      leaveGame();
+    };
+    resultEl.hidden = false;
+  }
+
+  function handleRaceEvent(event) {
+    switch (event.type) {
+      case 'garbage':
+        if (gameOver) return;
+        gameState.addGarbage(event.amount);
+        updateBoardText();
+        hintMessageEl.textContent =
+          `${race.getPlayer(event.from)?.name ?? 'The other racers'} sent ${event.amount} lead your way!`;
+        race.sendProgress(gameState);
+        return;
+      case 'connection':
+        turnEl.textContent = event.connected
+          ? `Room ${race.room}`
+          : event.reconnecting ? 'Reconnecting…' : 'Offline';
+        raceDroppedEl.hidden = event.connected;
+        document.getElementById('race-dropped-message').textContent = event.reconnecting
+          ? 'Lost the race server, trying to get back in. Your seat is kept for a minute.'
+          : "Couldn't get back to the race server. The race keeps the last score it saw.";
+        return;
+      case 'results':
+        showRaceResults(event.standings);
+        announcer.announce(document.getElementById('race-result-title').textContent, { assertive: true });
+        return;
+      case 'room':
+      case 'progress':
+        renderRacers();
+        if (gameOver && race.status !== 'finished') showRaceResults();
+        return;
+      default:
+        return;
+    }
+  }
+
+  /**
+   * Game over, read out straight away: why it ended and the final score
+   * @param {string} [more] - Added at the end
+   */
+  function announceEnd(more = '') {
+    const reason = gameState.timeExpired() ? "Time's up." : 'Game over, the Forge is full.';
+    announcer.announce(`${reason} Final score ${gameState.score} on board ${gameState.board}. ${more}`.trim(), { assertive: true });
+  }
 
   function checkGameOver() {
+    if (versus) {
+      checkVersusOver();
+      return;
+    }
+    if (race) {
+      if (!gameState.isGameOver()) return;
+      gameOver = true;
+      inputHandler?.destroy();
+      playLoseSound();
+      race.sendProgress(gameState);
+      race.finish(gameState.score);
+      announceEnd('Waiting for the other racers to finish.');
+      showRaceResults();
+      return;
+    }
+    if (puzzle) return;
     if (gameState.isGameOver()) {
       gameOver = true;
       inputHandler?.destroy();
+      announceEnd();
+      if (playTest) {
+        leaveGame();
+        return;
+      }
+      clearSavedGame();
       showGameOverModal(gameState);
     }
   }
 
   function checkLevelComplete() {
+    if (puzzle) return;
+    // Versus and race don't stop for the Board Complete modal: the board bonus is awarded and play moves on
+    if ((versus || race) && gameState.isLevelComplete()) {
+      playWinSound();
+      gameState.completeBoard();
+      gameState.startNewRound();
+      seat.renderer = renderer = new Renderer(canvas, gameState);
+      resize();
+      updateBoardText();
+      renderer.celebrate();
+      hintMessageEl.textContent = versus ? `${seat.name} cleared a board!` : 'Board cleared!';
+      return;
+    }
     if (gameState.isLevelComplete()) {
       levelComplete = true;
       inputHandler?.destroy();
-      showLevelCompleteModal(gameState);
+      // Let the celebration play out before the modal covers the board
+      const delay = renderer.celebrate();
+      if (delay > 0) {
+        setTimeout(() => {
+          if (active) showLevelCompleteModal(gameState);
+        }, delay);
+      } else {
+        showLevelCompleteModal(gameState);
+      }
     }
   }
 
+  const pauseModalEl = document.getElementById('pause-modal');
+  pauseModalEl.hidden = true;
+  document.getElementById('pause-home-btn').textContent = playTest
+    ? 'Back to Editor'
+    : puzzle ? 'Quit to Puzzles' : 'Save & Quit to Menu';
+
+  const hintBtn = document.getElementById('hint-btn');
+  const hintMessageEl = document.getElementById('hint-message');
+  let hintReadyAt = 0;
+  hintMessageEl.textContent = '';
+
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
+  document.getElementById('undo-controls').hidden = gameState.undoLimit <= 0;
+
   const timerDisplayEl = document.getElementById('timer-display');
   const timerEl = document.getElementById('timer');
   if (gameState.gameMode === 'time') {
@@ -334,17 +1030,47 @@ function startGame(mode, difficulty) {
       }
     }
 
-    cursorRuneEl.innerHTML = '';
-    if (gameState.currentRune) {
-      const runeEl = createRuneCanvas(gameState.currentRune, RUNE_PREVIEW_SIZE);
-      cursorRuneEl.appendChild(runeEl);
-      cursorRuneEl.style.visibility = 'visible';
-    } else {
-      cursorRuneEl.style.visibility = 'hidden';
+    undoBtn.disabled = !gameState.canUndo();
+    redoBtn.disabled = !gameState.canRedo();
+
+    const hintWait = Math.ceil((hintReadyAt - Date.now()) / 1000);
+    hintBtn.disabled = hintWait > 0;
+    hintBtn.textContent = hintWait > 0 ? `Hint (${hintWait}s)` : 'Hint';
+
+    const runeKey = JSON.stringify(gameState.currentRune);
+    if (runeKey !== shownRuneKey) {
+      shownRuneKey = runeKey;
+      cursorRuneEl.innerHTML = '';
+      currentRuneEl.innerHTML = '';
+      if (gameState.currentRune) {
+        cursorRuneEl.appendChild(createRuneCanvas(gameState.currentRune, RUNE_PREVIEW_SIZE));
+        currentRuneEl.appendChild(createRuneCanvas(gameState.currentRune, RUNE_PREVIEW_SIZE));
+      }
+      const rune = gameState.currentRune;
+      runeNoteEl.textContent = RUNE_NOTES[rune?.isSkull ? 'skull' : getSpecialKind(rune)] ?? '';
     }
+    cursorRuneEl.style.visibility = gameState.currentRune && pointerIsMouse ? 'visible' : 'hidden';
+
+    const queue = gameState.upcoming.slice(0, gameState.previewSize);
+    const queueKey = JSON.stringify(queue);
+    if (queueKey !== shownQueueKey) {
+      shownQueueKey = queueKey;
+      previewRunesEl.innerHTML = '';
+      queue.forEach((rune) => previewRunesEl.appendChild(createRuneCanvas(rune, 28)));
+    }
+
+    if (versus) updateSeatHuds();
 
     const count = gameState.forge.length;
     if (forgeDisplayEl.dataset.fill !== String(count)) {
+      // A rune going in pulses the Forge; redraws after a turn change or undo don't
+      const previous = forgeDisplayEl.dataset.fill;
+      if (previous !== '' && count > Number(previous) && !isReducedMotion()) {
+        forgeDisplayEl.animate(
+          [{ transform: 'scale(1)' }, { transform: 'scale(1.12)' }, { transform: 'scale(1)' }],
+          { duration: 320, easing: 'ease-out' },
+        );
+      }
       forgeDisplayEl.innerHTML = '';
       forgeDisplayEl.dataset.fill = String(count);
       const orbitRadius = 32;
@@ -373,64 +1099,274 @@ function startGame(mode, difficulty) {
     }
   }
 
+  /** Versus: score, board, forge and current rune above each player's board */
+  function updateSeatHuds() {
+    seats.forEach((s) => {
+      const { seatEl, gameState: state } = s;
+      seatEl.querySelector('.seat-score').textContent = state.score;
+      seatEl.querySelector('.seat-board').textContent = state.board;
+      seatEl.querySelector('.seat-forge').textContent = `${state.forge.length}/${state.forgeCapacity}`;
+      const runeKey = JSON.stringify(state.currentRune);
+      if (runeKey !== s.shownRuneKey) {
+        s.shownRuneKey = runeKey;
+        const runeEl = seatEl.querySelector('.seat-rune');
+        runeEl.innerHTML = '';
+        if (state.currentRune) runeEl.appendChild(createRuneCanvas(state.currentRune, 28));
+      }
+    });
+  }
+
+  /**
+   * Screen readers: rewrite the text board. Called when the game or the cursor changes, not every frame,
+   * as it checks every square for a legal move.
+   */
+  function updateBoardText() {
+    accessibleBoard.setGame(gameState, versus ? `${seat.name}'s board` : 'Board');
+    accessibleBoard.update(renderer.keyboardCursor);
+  }
+
+  function showTurn() {
+    seats.forEach((s) => {
+      s.seatEl.classList.toggle('active-seat', versus && s === seat);
+      s.seatEl.classList.toggle('waiting', s !== seat);
+    });
+    if (versus) {
+      turnEl.textContent = `${seat.name} to move`;
+      announcer.announce(`${seat.name} to move. Current rune: ${describeRune(gameState.currentRune)}.`);
+    }
+  }
+
+  /**
+   * Versus: hand the input over to the next player's board
+   */
+  function passTurn() {
+    inputHandler?.destroy();
+    seat = seats[(seats.indexOf(seat) + 1) % seats.length];
+    ({ gameState, canvas, renderer } = seat);
+    showTurn();
+    // The sidebar now shows this player's rune, queue and forge
+    shownRuneKey = null;
+    shownQueueKey = null;
+    forgeDisplayEl.dataset.fill = '';
+    inputHandler = new InputHandler(canvas, gameState, renderer, onAction, inputOptions);
+    updateUI();
+    updateBoardText();
+  }
+
+  // Save before the level-complete check so a resumed game re-shows the modal
+  // and awards the board bonus exactly once
+  function saveProgress() {
+    if (active && !playTest && !puzzle && !versus && !race && !gameOver && !levelComplete) saveGame(gameState);
+  }
+
+  function togglePause() {
+    // A race clock doesn't stop for one racer
+    if (gameOver || levelComplete || race) return;
+    if (gameState.paused) {
+      seats.forEach((s) => s.gameState.resume());
+      pauseModalEl.hidden = true;
+    } else {
+      seats.forEach((s) => s.gameState.pause());
+      saveProgress();
+      pauseModalEl.hidden = false;
+    }
+  }
+
+  function leaveGame() {
+    seats.forEach((s) => s.gameState.resume());
+    pauseModalEl.hidden = true;
+    saveProgress();
+    active = false;
+    inputHandler?.destroy();
+    achievementTracker?.detach();
+    gameAnnouncers.forEach((a) => a.detach());
+    removeAnimationListeners.forEach((remove) => remove());
+    removeRaceListeners?.();
+    race?.close();
+    if (onExit) onExit(gameState);
+    else showHomeScreen();
+  }
+
   function onAction() {
+    renderer.clearHint();
+    hintMessageEl.textContent = '';
     updateUI();
+    updateBoardText();
+    saveProgress();
+    if (puzzle) checkPuzzle();
     checkLevelComplete();
     checkGameOver();
+    if (race && !gameOver) race.sendProgress(gameState);
+    if (versus && !gameOver) passTurn();
   }
 
-  inputHandler = new InputHandler(canvas, gameState, renderer, onAction);
+  /** Read out where the current rune can go (also shown under the Hint button) */
+  function showLegalSquares() {
+    if (gameOver || levelComplete || gameState.paused) return;
+    hintMessageEl.textContent = describeLegalSquares(gameState);
+  }
+
+  // Screen readers: the board as text next to the canvas, and the game read out as it's played
+  const announcer = new Announcer(
+    document.getElementById('announcer-polite'),
+    document.getElementById('announcer-assertive'),
+  );
+  const gameAnnouncers = seats.map((s) => new GameAnnouncer(s.gameState, announcer));
+  // Sweeps and skull strikes follow the game's events; looked up per event as each board gets a new renderer
+  const removeAnimationListeners = seats.map((s) => s.gameState.addListener((e) => s.renderer.handleGameEvent(e)));
+  const accessibleBoard = new AccessibleBoard(document.getElementById('board-text'), {
+    onFocusSquare: (x, y) => {
+      if (gameOver || levelComplete) return;
+      inputHandler?.setCursor(x, y);
+      updateBoardText();
+    },
+    onActivate: (x, y) => {
+      if (gameOver || levelComplete) return;
+      inputHandler?.setCursor(x, y);
+      inputHandler?.actAt(x, y);
+    },
+  });
+
+  const inputOptions = {
+    onPause: togglePause,
+    onListMoves: showLegalSquares,
+    // Off the text board (which reads the square itself as it takes focus), say where the cursor landed
+    onCursorMove: (x, y) => {
+      updateBoardText();
+      if (!accessibleBoard.focusSquare(x, y)) announcer.announce(`${describeSquare(x, y)}: ${describeCell(gameState, x, y)}`);
+    },
+    confirmPlacement: loadSettings().confirmPlacement,
+  };
+  inputHandler = new InputHandler(canvas, gameState, renderer, onAction, inputOptions);
+  showTurn();
+  updateBoardText();
+
+  // Race: every row or column cleared sends garbage to the others; theirs arrives through handleRaceEvent
+  let removeRaceListeners = null;
+  if (race) {
+    const removeGameListener = gameState.addListener((event) => {
+      if (event.type === 'place' && garbageForPlacement(event) > 0) race.sendGarbage(garbageForPlacement(event));
+    });
+    const removeClientListener = race.addListener(handleRaceEvent);
+    removeRaceListeners = () => {
+      removeGameListener();
+      removeClientListener();
+    };
+    race.sendProgress(gameState);
+    renderRacers();
+  }
 
-  document.addEventListener('mousemove', function moveHandler(e) {
+  document.onpointermove = (e) => {
+    pointerIsMouse = e.pointerType === 'mouse';
     cursorRuneEl.style.left = `${e.clientX}px`;
     cursorRuneEl.style.top = `${e.clientY}px`;
-  });
+  };
 
   // Use onclick to replace handlers (avoids duplicates on restart)
+  document.getElementById('race-leave-btn').onclick = () => leaveGame();
   document.getElementById('discard-btn').onclick = () => {
-    if (gameOver || levelComplete) return;
+    if (gameOver || levelComplete || renderer.isBusy()) return;
     if (gameState.discardToForge()) {
       playForgeSound();
       onAction();
     }
   };
 
+  /**
+   * Highlight the best placement for the current rune. In strategic mode, discarding
+   * competes with placements and is suggested when every placement would hurt the board.
+   */
+  hintBtn.onclick = () => {
+    if (gameOver || levelComplete || gameState.paused || Date.now() < hintReadyAt) return;
+    const best = findBestMove(gameState, { includeDiscard: gameState.gameMode === GAME_MODES.strategic });
+    hintReadyAt = Date.now() + HINT_COOLDOWN_SECONDS * 1000;
+    if (!best) {
+      hintMessageEl.textContent = 'No moves left for this rune.';
+      return;
+    }
+    const { move, evaluation } = best;
+    if (move.type === 'discard') {
+      renderer.clearHint();
+      hintMessageEl.textContent = 'Best move: discard this rune to the Forge.';
+      return;
+    }
+    renderer.showHint(move.x, move.y);
+    if (move.type === 'skull') {
+      hintMessageEl.textContent = 'Remove the highlighted rune with your skull.';
+    } else if (move.type === 'special' && !evaluation.leadConverted) {
+      hintMessageEl.textContent = 'Use your special rune on the highlighted cell.';
+    } else if (evaluation.completesBoard) {
+      hintMessageEl.textContent = 'This placement completes the board!';
+    } else if (evaluation.linesCleared) {
+      hintMessageEl.textContent = `Completes a row or column (+${evaluation.points}).`;
+    } else if (evaluation.leadConverted) {
+      hintMessageEl.textContent = `Turns lead to gold (+${evaluation.points}).`;
+    } else {
+      hintMessageEl.textContent = 'Keeps the board open for future runes.';
+    }
+  };
+
+  document.getElementById('legal-moves-btn').onclick = showLegalSquares;
+
+  undoBtn.onclick = () => {
+    if (gameOver || levelComplete || renderer.isBusy()) return;
+    if (gameState.undo()) onAction();
+  };
+
+  redoBtn.onclick = () => {
+    if (gameOver || levelComplete || renderer.isBusy()) return;
+    if (gameState.redo()) onAction();
+  };
+
   document.getElementById('continue-btn').onclick = () => {
     hideLevelCompleteModal();
     levelComplete = false;
     gameState.startNewRound();
-    renderer = new Renderer(canvas, gameState);
-    renderer.resize();
-    renderer.render();
-    inputHandler = new InputHandler(canvas, gameState, renderer, onAction);
+    saveProgress();
+    seat.renderer = renderer = new Renderer(canvas, gameState);
+    resize();
+    inputHandler = new InputHandler(canvas, gameState, renderer, onAction, inputOptions);
     updateUI();
+    updateBoardText();
   };
 
+  document.getElementById('pause-resume-btn').onclick = togglePause;
+  document.getElementById('pause-home-btn').onclick = leaveGame;
+
   document.getElementById('restart-btn').onclick = () => {
     hideGameOverModal();
-    inputHandler?.destroy();
-    showHomeScreen();
+    leaveGame();
   };
 
   document.getElementById('new-game-btn').onclick = () => {
-    inputHandler?.destroy();
     hideLevelCompleteModal();
     hideGameOverModal();
-    showHomeScreen();
+    leaveGame();
   };
 
   function resize() {
-    renderer.resize();
-    renderer.render();
+    seats.forEach((s) => {
+      s.renderer.cellSize = fitBoardToScreen(s.canvas, s.gameState, seats.length);
+      s.renderer.resize();
+      s.renderer.render();
+    });
   }
 
   window.addEventListener('resize', resize);
   resize();
 
+  // Catch time spent since the last action (time mode) when the tab is closed
+  window.onpagehide = saveProgress;
+  saveProgress();
+  if (puzzle) checkPuzzle();
+  checkLevelComplete();
+
   function gameLoop() {
-    renderer.render();
-    if (!gameOver && !levelComplete) {
+    if (!active) return;
+    seats.forEach((s) => s.renderer.render());
+    if (!gameOver && !levelComplete && !gameState.paused) {
       updateUI();
+      gameAnnouncers[seats.indexOf(seat)].checkTime();
       checkGameOver(); // Time mode: check every frame for expiry
     }
     requestAnimationFrame(gameLoop);
@@ -461,7 +1397,122 @@ function init() {
   });
 
   document.getElementById('home-play-btn').addEventListener('click', () => {
-    startGame(selectedMode, selectedDifficulty);
+    if (selectedMode === VERSUS_MODE) startVersusGame(selectedDifficulty);
+    else startGame(createGameState(selectedMode, selectedDifficulty));
+  });
+
+  const previewToggle = document.getElementById('show-preview-toggle');
+  previewToggle.checked = loadSettings().showPreview;
+  previewToggle.addEventListener('change', () => {
+    saveSettings({ showPreview: previewToggle.checked });
+  });
+
+  const confirmToggle = document.getElementById('confirm-placement-toggle');
+  confirmToggle.checked = loadSettings().confirmPlacement;
+  confirmToggle.addEventListener('change', () => {
+    saveSettings({ confirmPlacement: confirmToggle.checked });
+  });
+
+  // Theme: built-in or loaded from a JSON file; the last loaded file is kept as "custom"
+  const themeSelect = document.getElementById('theme-select');
+  const themeStatusEl = document.getElementById('theme-status');
+  const themeFileInput = document.getElementById('theme-file-input');
+  const renderThemeOptions = (selected) => {
+    themeSelect.innerHTML = '';
+    Object.entries(THEMES).forEach(([key, { name }]) => themeSelect.add(new Option(name, key)));
+    const custom = loadCustomTheme();
+    if (custom) themeSelect.add(new Option(`Custom: ${custom.name}`, 'custom'));
+    themeSelect.value = selected === 'custom' && !custom ? 'classic' : selected;
+  };
+  renderThemeOptions(loadSettings().theme);
+  applyTheme(resolveTheme(themeSelect.value));
+  themeSelect.addEventListener('change', () => {
+    saveSettings({ theme: themeSelect.value });
+    applyTheme(resolveTheme(themeSelect.value));
+    themeStatusEl.textContent = '';
+  });
+  document.getElementById('theme-load-btn').onclick = () => themeFileInput.click();
+  themeFileInput.onchange = async () => {
+    const file = themeFileInput.files?.[0];
+    themeFileInput.value = '';
+    if (!file) return;
+    try {
+      const theme = parseTheme(JSON.parse(await file.text()));
+      saveCustomTheme(theme);
+      saveSettings({ theme: 'custom' });
+      renderThemeOptions('custom');
+      applyTheme(theme);
+      themeStatusEl.textContent = `Loaded "${theme.name}".`;
+    } catch (err) {
+      themeStatusEl.textContent = `Could not load ${file.name}: ${err.message}`;
+    }
+  };
+
+  // Rune colors apply everywhere runes are drawn, from the next frame on
+  const paletteSelect = document.getElementById('color-palette-select');
+  const cuesToggle = document.getElementById('color-cues-toggle');
+  Object.entries(COLOR_PALETTES).forEach(([key, { label }]) => paletteSelect.add(new Option(label, key)));
+  const applyRuneStyle = ({ colorPalette, colorCues }) => setRuneStyle({ palette: colorPalette, cues: colorCues });
+  const initialSettings = loadSettings();
+  paletteSelect.value = COLOR_PALETTES[initialSettings.colorPalette] ? initialSettings.colorPalette : 'standard';
+  cuesToggle.checked = initialSettings.colorCues;
+  applyRuneStyle(initialSettings);
+  paletteSelect.addEventListener('change', () => {
+    applyRuneStyle(saveSettings({ colorPalette: paletteSelect.value }));
+  });
+  cuesToggle.addEventListener('change', () => {
+    applyRuneStyle(saveSettings({ colorCues: cuesToggle.checked }));
+  });
+
+  const motionSelect = document.getElementById('reduced-motion-select');
+  motionSelect.value = initialSettings.reducedMotion;
+  setReducedMotion(motionSelect.value || 'auto');
+  motionSelect.addEventListener('change', () => {
+    setReducedMotion(saveSettings({ reducedMotion: motionSelect.value }).reducedMotion);
+  });
+
+  const leaderboardUrlInput = document.getElementById('leaderboard-url-input');
+  leaderboardUrlInput.value = loadSettings().leaderboardUrl;
+  leaderboardUrlInput.addEventListener('change', () => {
+    const { leaderboardUrl } = saveSettings({ leaderboardUrl: leaderboardUrlInput.value.trim() });
+    createLeaderboard(leaderboardUrl).flushQueue?.();
+  });
+  // Scores finished while the server was unreachable go up as soon as it's back
+  createLeaderboard(loadSettings().leaderboardUrl).flushQueue?.();
+
+  document.getElementById('home-race-btn').addEventListener('click', () => {
+    openRaceLobby({ difficulty: selectedDifficulty, onStart: startRaceGame });
+  });
+
+  document.getElementById('home-replays-btn').addEventListener('click', () => {
+    renderReplayList(document.getElementById('replay-list'));
+    document.getElementById('replays-modal').hidden = false;
+  });
+
+  document.getElementById('home-puzzles-btn').addEventListener('click', showPuzzleList);
+  document.getElementById('home-achievements-btn').addEventListener('click', showAchievementList);
+  document.getElementById('home-stats-btn').addEventListener('click', openStatsScreen);
+
+  document.getElementById('puzzles-close-btn').addEventListener('click', () => {
+    document.getElementById('puzzles-modal').hidden = true;
+  });
+  document.getElementById('achievements-close-btn').addEventListener('click', () => {
+    document.getElementById('achievements-modal').hidden = true;
+  });
+
+  document.getElementById('replays-close-btn').addEventListener('click', () => {
+    document.getElementById('replays-modal').hidden = true;
+  });
+
+  document.getElementById('home-editor-btn').addEventListener('click', () => openEditor());
+
+  const sharedLevel = getUrlLevel();
+  if (sharedLevel) openEditor(sharedLevel, `Loaded shared level "${sharedLevel.name ?? 'Custom Level'}"`);
+
+  document.getElementById('home-resume-btn').addEventListener('click', () => {
+    const saved = loadSavedGame();
+    if (saved) startGame(saved);
+    else updateResumeButton();
   });
 }
 
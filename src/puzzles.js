@@ -0,0 +1,239 @@
+/**
+ * Puzzle mode: hand-made levels with a fixed rune sequence and a goal, plus saved progress.
+ * Puzzles are ordinary levels (see levels.js) played by GameState with sequenceOnly set.
+ */
+
+import { GameState } from './game.js';
+import { GAME_MODES, UNDO_LIMITS } from './constants.js';
+
+const STORAGE_KEY = 'allthatglitters_puzzles';
+
+/**
+ * Goal fields (all that are present must hold at once):
+ *   gild        - every cell of the board is gold
+ *   rows        - at least this many rows cleared
+ *   columns     - at least this many columns cleared
+ *   lines       - at least this many rows and/or columns cleared
+ *   emptyForge  - the forge is empty
+ *   maxDiscards - never discard more than this many runes (breaking it fails the puzzle)
+ */
+export const PUZZLES = [
+  {
+    id: 'first-light',
+    name: 'First Light',
+    goal: { lines: 1 },
+    level: {
+      cells: ['...', '...', '...'],
+      wilds: [{ x: 1, y: 1 }],
+      sequence: [
+        { color: 'crimson', symbol: 'aries' },
+        { color: 'crimson', symbol: 'leo' },
+        { color: 'azure', symbol: 'leo' },
+        { color: 'azure', symbol: 'aries' },
+      ],
+    },
+  },
+  {
+    id: 'crossroads',
+    name: 'Crossroads',
+    goal: { columns: 2 },
+    level: {
+      cells: ['.....', '.....', '.....'],
+      wilds: [{ x: 2, y: 1 }],
+      sequence: [
+        { color: 'amber', symbol: 'gemini' },
+        { color: 'amber', symbol: 'cancer' },
+        { color: 'emerald', symbol: 'gemini' },
+        { color: 'emerald', symbol: 'cancer' },
+        { color: 'amber', symbol: 'taurus' },
+        { color: 'crimson', symbol: 'gemini' },
+      ],
+    },
+  },
+  {
+    id: 'tight-forge',
+    name: 'Tight Forge',
+    goal: { gild: true, maxDiscards: 2 },
+    level: {
+      cells: ['x..x', '....', 'x..x'],
+      wilds: [{ x: 1, y: 1 }],
+      sequence: [
+        { color: 'violet', symbol: 'virgo' },
+        { color: 'crimson', symbol: 'aries' },
+        { color: 'violet', symbol: 'libra' },
+        { color: 'azure', symbol: 'virgo' },
+        { color: 'violet', symbol: 'aries' },
+        { color: 'azure', symbol: 'libra' },
+        { color: 'azure', symbol: 'aries' },
+        'wild',
+        { color: 'violet', symbol: 'virgo' },
+        { color: 'crimson', symbol: 'libra' },
+      ],
+    },
+  },
+  {
+    id: 'clean-sweep',
+    name: 'Clean Sweep',
+    goal: { rows: 2, emptyForge: true },
+    level: {
+      cells: ['....', '....', '....'],
+      wilds: [{ x: 0, y: 1 }],
+      sequence: [
+        { color: 'teal', symbol: 'pisces' },
+        { color: 'rose', symbol: 'scorpio' },
+        { color: 'teal', symbol: 'scorpio' },
+        { color: 'rose', symbol: 'pisces' },
+        { color: 'teal', symbol: 'leo' },
+        { color: 'rose', symbol: 'leo' },
+        { color: 'teal', symbol: 'scorpio' },
+        { color: 'coral', symbol: 'pisces' },
+        { color: 'rose', symbol: 'pisces' },
+      ],
+    },
+  },
+  {
+    id: 'skull-and-bones',
+    name: 'Skull and Bones',
+    goal: { gild: true },
+    level: {
+      cells: ['...', 'g..', '...'],
+      wilds: [{ x: 0, y: 0 }],
+      runes: [{ x: 1, y: 1, color: 'crimson', symbol: 'scorpio' }],
+      sequence: [
+        'skull',
+        { color: 'azure', symbol: 'taurus' },
+        { color: 'azure', symbol: 'cancer' },
+        { color: 'amber', symbol: 'taurus' },
+        { color: 'amber', symbol: 'cancer' },
+        { color: 'azure', symbol: 'cancer' },
+        { color: 'amber', symbol: 'taurus' },
+        { color: 'azure', symbol: 'taurus' },
+        { color: 'amber', symbol: 'cancer' },
+      ],
+    },
+  },
+  {
+    id: 'gilded-cage',
+    name: 'Gilded Cage',
+    goal: { gild: true, maxDiscards: 1 },
+    level: {
+      cells: ['g...g', '.....', 'g...g'],
+      wilds: [{ x: 2, y: 1 }],
+      sequence: [
+        { color: 'emerald', symbol: 'sagittarius' },
+        { color: 'emerald', symbol: 'capricorn' },
+        { color: 'coral', symbol: 'sagittarius' },
+        { color: 'coral', symbol: 'capricorn' },
+        { color: 'emerald', symbol: 'aquarius' },
+        { color: 'coral', symbol: 'aquarius' },
+        { color: 'violet', symbol: 'capricorn' },
+        { color: 'emerald', symbol: 'sagittarius' },
+        { color: 'violet', symbol: 'aquarius' },
+        { color: 'coral', symbol: 'sagittarius' },
+        { color: 'emerald', symbol: 'capricorn' },
+        { color: 'violet', symbol: 'sagittarius' },
+      ],
+    },
+  },
+];
+
+export function getPuzzle(id) {
+  return PUZZLES.find((p) => p.id === id) ?? null;
+}
+
+/** Puzzle after this one, or null for the last */
+export function getNextPuzzle(id) {
+  const index = PUZZLES.findIndex((p) => p.id === id);
+  return index >= 0 ? PUZZLES[index + 1] ?? null : null;
+}
+
+/**
+ * Goal as a sentence, e.g. "Gild the whole board using at most 2 discards"
+ */
+export function describeGoal(goal) {
+  const parts = [];
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  if (goal.gild) parts.push('gild the whole board');
+  if (goal.rows) parts.push(`clear ${plural(goal.rows, 'row')}`);
+  if (goal.columns) parts.push(`clear ${plural(goal.columns, 'column')}`);
+  if (goal.lines) parts.push(`clear ${goal.lines} ${goal.lines === 1 ? 'row or column' : 'rows or columns'}`);
+  if (goal.emptyForge) parts.push('finish with the forge empty');
+  let text = parts.join(' and ');
+  if (goal.maxDiscards !== undefined) {
+    text += goal.maxDiscards === 0 ? ' without discarding' : ` using at most ${plural(goal.maxDiscards, 'discard')}`;
+  }
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Check a puzzle game against its goal
+ * @returns {{ status: 'playing' | 'solved' | 'failed', reason?: string, progress: { label: string, done: boolean }[] }}
+ */
+export function evaluatePuzzle(puzzle, gameState) {
+  const { goal } = puzzle;
+  const lines = gameState.rowsCleared + gameState.columnsCleared;
+  const progress = [];
+  if (goal.gild) progress.push({ label: 'Board gilded', done: gameState.isLevelComplete() });
+  if (goal.rows) progress.push({ label: `Rows ${Math.min(gameState.rowsCleared, goal.rows)}/${goal.rows}`, done: gameState.rowsCleared >= goal.rows });
+  if (goal.columns) progress.push({ label: `Columns ${Math.min(gameState.columnsCleared, goal.columns)}/${goal.columns}`, done: gameState.columnsCleared >= goal.columns });
+  if (goal.lines) progress.push({ label: `Lines ${Math.min(lines, goal.lines)}/${goal.lines}`, done: lines >= goal.lines });
+  if (goal.emptyForge) progress.push({ label: 'Forge empty', done: gameState.forge.length === 0 });
+  if (goal.maxDiscards !== undefined) {
+    progress.push({ label: `Discards ${gameState.discards}/${goal.maxDiscards}`, done: gameState.discards <= goal.maxDiscards });
+  }
+
+  if (goal.maxDiscards !== undefined && gameState.discards > goal.maxDiscards) {
+    return { status: 'failed', reason: 'Too many discards', progress };
+  }
+  if (progress.every((p) => p.done)) return { status: 'solved', progress };
+  if (!gameState.currentRune) return { status: 'failed', reason: 'Out of runes', progress };
+  if (gameState.isGameOver()) return { status: 'failed', reason: 'No moves left', progress };
+  return { status: 'playing', progress };
+}
+
+/**
+ * New game on a puzzle. The whole sequence is shown in the preview, since it's fixed anyway.
+ */
+export function createPuzzleGame(puzzle, config = {}) {
+  return new GameState({
+    ...config,
+    level: { id: puzzle.id, name: puzzle.name, ...puzzle.level, sequenceOnly: true },
+    gameMode: GAME_MODES.puzzle,
+    undoLimit: UNDO_LIMITS.puzzle,
+    previewSize: puzzle.level.sequence.length,
+  });
+}
+
+/**
+ * Saved progress: puzzle id -> { solved, bestScore, fewestMoves }
+ */
+export function loadPuzzleProgress() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    const parsed = data ? JSON.parse(data) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record a solve, keeping the best score and fewest moves seen
+ * @returns {{ solved: boolean, bestScore: number, fewestMoves: number, newBest: boolean }}
+ */
+export function recordPuzzleSolve(id, { score, moves }) {
+  const progress = loadPuzzleProgress();
+  const previous = progress[id];
+  const entry = {
+    solved: true,
+    bestScore: Math.max(score, previous?.bestScore ?? 0),
+    fewestMoves: Math.min(moves, previous?.fewestMoves ?? Infinity),
+  };
+  progress[id] = entry;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // Storage full or unavailable - progress lasts for this session only
+  }
+  return { ...entry, newBest: !previous || score > previous.bestScore };
+}
@@ -0,0 +1,240 @@
+/**
+ * Race mode client: 2-4 players on identically seeded boards, connected through the relay in
+ * server/race-server.js. A dropped connection doesn't lose your seat: the client reconnects with
+ * backoff and rejoins with its player id, holding what it sends meanwhile until it's back.
+ * DOM-free apart from WebSocket; the race screen subscribes with addListener().
+ */
+
+import { CellState } from './game.js';
+
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000];
+// The server keeps a dropped seat for 60 s; stop a little sooner so the last attempt can't land on
+// a seat that has just been given up
+const RECONNECT_GIVE_UP_MS = 50 * 1000;
+
+/**
+ * One racer's connection to a room
+ */
+export class RaceClient {
+  /**
+   * @param {string} url - Relay address, e.g. "ws://192.168.1.20:8788"
+   * @param {{ room: string, name: string }} options
+   */
+  constructor(url, { room, name }) {
+    this.url = url.trim();
+    this.room = room.trim().toUpperCase();
+    this.name = name.trim();
+    this.socket = null;
+    this.playerId = null; // set by the server on join; reused to rejoin the same seat
+    this.hostId = null;
+    this.status = 'lobby'; // lobby -> racing -> finished, as the server reports it
+    this.players = [];
+    this.connected = false; // joined and able to send
+    this.closed = false;
+    this.outbox = []; // garbage and game over, sent once reconnected
+    this.pendingProgress = null; // only the latest progress is worth sending
+    this.reconnectAttempt = 0;
+    this.disconnectedAt = null;
+    this.reconnectTimer = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Listen for race events, called with ({ type, ...detail }):
+   *   connection { connected, reconnecting }   room { hostId, status, players }   start { seed, difficulty, rejoined }
+   *   progress { playerId, score, board, forge, forgeCapacity, grid }   garbage { from, amount }
+   *   results { standings }   error { message }
+   * @returns {() => void} Removes the listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  emit(type, detail = {}) {
+    for (const listener of this.listeners) listener({ type, ...detail });
+  }
+
+  get isHost() {
+    return this.playerId !== null && this.playerId === this.hostId;
+  }
+
+  getPlayer(id) {
+    return this.players.find((p) => p.id === id) ?? null;
+  }
+
+  connect() {
+    this.closed = false;
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch {
+      this.fail(`"${this.url}" isn't a valid race server address`);
+      return;
+    }
+    this.socket = socket;
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'join', room: this.room, name: this.name, playerId: this.playerId }));
+    };
+    socket.onmessage = (e) => this.handleMessage(e.data);
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.connected = false;
+      if (this.closed) return;
+      // Never got a seat: nothing to rejoin
+      if (this.playerId === null) {
+        this.fail(`Can't reach the race server at ${this.url}`);
+        return;
+      }
+      this.emit('connection', { connected: false, reconnecting: true });
+      this.scheduleReconnect();
+    };
+  }
+
+  scheduleReconnect() {
+    this.disconnectedAt ??= Date.now();
+    if (Date.now() - this.disconnectedAt > RECONNECT_GIVE_UP_MS) {
+      this.closed = true;
+      this.emit('connection', { connected: false, reconnecting: false });
+      return;
+    }
+    const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS_MS.length - 1)];
+    this.reconnectAttempt += 1;
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /** Give up for good, e.g. the room is full */
+  fail(message) {
+    this.close();
+    this.emit('error', { message, fatal: true });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    switch (message.type) {
+      case 'room': {
+        const { playerId, hostId, status, players } = message;
+        Object.assign(this, { playerId, hostId, status, players });
+        if (!this.connected) {
+          this.connected = true;
+          this.reconnectAttempt = 0;
+          this.disconnectedAt = null;
+          this.flush();
+          this.emit('connection', { connected: true, reconnecting: false });
+        }
+        this.emit('room', { hostId, status, players });
+        break;
+      }
+      case 'progress': {
+        const { type, playerId, ...progress } = message;
+        const player = this.getPlayer(playerId);
+        if (player) player.progress = progress;
+        this.emit('progress', message);
+        break;
+      }
+      case 'error':
+        // A join refused (race started, room full) won't work on retry either
+        if (!this.connected) this.fail(message.message);
+        else this.emit('error', { message: message.message, fatal: false });
+        break;
+      case 'start':
+      case 'garbage':
+      case 'results':
+        this.emit(message.type, message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  send(type, data = {}) {
+    if (this.connected) {
+      this.socket.send(JSON.stringify({ type, ...data }));
+    } else if (type === 'progress') {
+      this.pendingProgress = data;
+    } else {
+      this.outbox.push({ type, ...data });
+    }
+  }
+
+  flush() {
+    const queued = this.outbox;
+    this.outbox = [];
+    if (this.pendingProgress) queued.unshift({ type: 'progress', ...this.pendingProgress });
+    this.pendingProgress = null;
+    queued.forEach(({ type, ...data }) => this.send(type, data));
+  }
+
+  /** Host only: start the race for everyone in the room */
+  start(difficulty) {
+    this.send('start', { difficulty });
+  }
+
+  sendProgress(gameState) {
+    this.send('progress', createProgress(gameState));
+  }
+
+  sendGarbage(amount) {
+    this.send('garbage', { amount });
+  }
+
+  /** This racer's game is over */
+  finish(score) {
+    this.send('over', { score });
+  }
+
+  /**
+   * Leave the room and stop reconnecting
+   */
+  close() {
+    if (this.connected) this.send('leave');
+    this.closed = true;
+    this.connected = false;
+    clearTimeout(this.reconnectTimer);
+    const { socket } = this;
+    this.socket = null;
+    socket?.close();
+  }
+}
+
+/**
+ * Compact picture of a board for opponents' miniatures: one string per row, one character per square -
+ * "." hole, "#" rune, "g" gold, "1"-"3" lead layers
+ */
+export function encodeGrid(gameState) {
+  return gameState.grid.map((row) => row.map((cell) => {
+    if (cell.state === CellState.EMPTY) return '.';
+    if (cell.rune) return '#';
+    if (cell.state === CellState.GOLD) return 'g';
+    return String(cell.layers ?? 1);
+  }).join(''));
+}
+
+/**
+ * What opponents see of a racer's game
+ */
+export function createProgress(gameState) {
+  return {
+    score: gameState.score,
+    board: gameState.board,
+    forge: gameState.forge.length,
+    forgeCapacity: gameState.forgeCapacity,
+    grid: encodeGrid(gameState),
+  };
+}
+
+/**
+ * Garbage sent to opponents for a placement: one lead layer per row or column it cleared
+ * @param {{ rowsCleared: number, columnsCleared: number }} placeEvent - GameState 'place' event
+ */
+export function garbageForPlacement({ rowsCleared, columnsCleared }) {
+  return rowsCleared + columnsCleared;
+}
@@ -0,0 +1,59 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * A game started with the same seed draws the same rune sequence.
+ */
+
+/**
+ * Turn a seed value (number or string, e.g. from a URL parameter) into a 32-bit unsigned integer.
+ * Numeric strings are used as-is; any other string is hashed (FNV-1a).
+ * @param {number|string} value
+ * @returns {number|null} null when the value is empty
+ */
+export function normalizeSeed(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (str === '') return null;
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a fresh random seed for a new game
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Seeded RNG. `state` is a single 32-bit integer, so it can be saved and restored.
+ */
+export class SeededRandom {
+  constructor(seed = generateSeed()) {
+    this.seed = normalizeSeed(seed) ?? 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+}
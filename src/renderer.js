@@ -2,8 +2,10 @@
  * Canvas renderer for All That Glitters
  */
 
-import { CellState } from './game.js';
+import { CellState, getSpecialKind, isTargetedRune } from './game.js';
 import { ZODIAC_UNICODE } from './constants.js';
+import { getTheme } from './themes.js';
+import { Easing, Timeline, isReducedMotion } from './animation.js';
 
 // Color mapping for rune colors (distinct hues for easy differentiation)
 export const COLOR_MAP = {
@@ -19,27 +21,190 @@ export const COLOR_MAP = {
 };
 
 /**
- * Draw a rune to a 2D context (zodiac symbols, wild, skull)
+ * Rune color palettes, picked in settings. The colorblind ones trade hue for lightness where the
+ * standard colors collide (crimson / coral / rose, emerald / teal); each still maps all eight RUNE_COLORS.
+ * Palettes don't change with the theme, so every color stays mid-light: at least 1.5:1 against the
+ * dark themes' lead and the parchment rune tile, as the standard colors are, and no near-white.
+ * Each color also keeps its standard hue family, so the names the game reads out still fit.
+ */
+export const COLOR_PALETTES = {
+  standard: { label: 'Standard', colors: COLOR_MAP },
+  // After Okabe-Ito, nudged until every pair stays apart for a green-blind eye
+  deuteranopia: {
+    label: 'Deuteranopia (green-blind)',
+    colors: {
+      ...COLOR_MAP,
+      crimson: '#ae2f06',
+      azure: '#0061bd',
+      amber: '#d0b96f',
+      emerald: '#1e8153',
+      violet: '#7b4d8a',
+      coral: '#fd8f08',
+      teal: '#05caf8',
+      rose: '#f997c3',
+    },
+  },
+  // After Paul Tol's "bright" scheme; reds kept light, since they look dark without red cones
+  protanopia: {
+    label: 'Protanopia (red-blind)',
+    colors: {
+      ...COLOR_MAP,
+      crimson: '#d14b4f',
+      azure: '#4d8ef9',
+      amber: '#d2ba45',
+      emerald: '#007019',
+      violet: '#7f3e96',
+      coral: '#ffa071',
+      teal: '#09ccea',
+      rose: '#ce5c8d',
+    },
+  },
+  // Blue-yellow confusion: keep colors apart on the red-green axis and in lightness (azure a dark indigo, teal light)
+  tritanopia: {
+    label: 'Tritanopia (blue-blind)',
+    colors: {
+      ...COLOR_MAP,
+      crimson: '#e41a1c',
+      azure: '#514db1',
+      amber: '#dcab4d',
+      emerald: '#218e19',
+      violet: '#7a4a9a',
+      coral: '#e9742e',
+      teal: '#00cde4',
+      rose: '#973665',
+    },
+  },
+  // Saturated, with yellow and green held back from neon so they still show on parchment
+  highContrast: {
+    label: 'High contrast',
+    colors: {
+      ...COLOR_MAP,
+      crimson: '#ff0031',
+      azure: '#4da6ff',
+      amber: '#bcc200',
+      emerald: '#00d73f',
+      violet: '#956eff',
+      coral: '#ff8300',
+      teal: '#00cfcd',
+      rose: '#ff66cc',
+    },
+  },
+};
+
+/** Second cue per color, drawn behind the symbol, so matching colors never depends on hue alone */
+export const COLOR_CUE_SHAPES = {
+  crimson: 'circle',
+  azure: 'square',
+  amber: 'triangle',
+  emerald: 'diamond',
+  violet: 'hexagon',
+  coral: 'star',
+  teal: 'pentagon',
+  rose: 'cross',
+};
+
+// How runes look everywhere they're drawn: board, cursor preview, sidebar, forge, replays, editor
+let runeStyle = { colors: COLOR_MAP, cues: false };
+
+/**
+ * Apply the palette and color-cue settings to every rune drawn from now on
+ * @param {{ palette?: string, cues?: boolean }} options - palette is a COLOR_PALETTES key
+ */
+export function setRuneStyle({ palette = 'standard', cues = false } = {}) {
+  runeStyle = { colors: (COLOR_PALETTES[palette] ?? COLOR_PALETTES.standard).colors, cues };
+}
+
+/** Display color of a rune color name in the current palette */
+export function getRuneColor(name) {
+  return runeStyle.colors[name] ?? '#888';
+}
+
+/** Closed path of a cue shape of radius r around (cx, cy) */
+function traceCueShape(ctx, shape, cx, cy, r) {
+  const polygon = (sides, rotation = -Math.PI / 2, inner = null) => {
+    const points = inner ? sides * 2 : sides;
+    for (let i = 0; i < points; i++) {
+      const radius = inner && i % 2 === 1 ? r * inner : r;
+      const angle = rotation + (i * Math.PI * 2) / points;
+      const x = cx + Math.cos(angle) * radius;
+      const y = cy + Math.sin(angle) * radius;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+  };
+  ctx.beginPath();
+  switch (shape) {
+    case 'circle': ctx.arc(cx, cy, r, 0, Math.PI * 2); break;
+    case 'square': polygon(4, -Math.PI / 4); break;
+    case 'triangle': polygon(3); break;
+    case 'diamond': polygon(4); break;
+    case 'hexagon': polygon(6, 0); break;
+    case 'star': polygon(5, -Math.PI / 2, 0.5); break;
+    case 'pentagon': polygon(5); break;
+    case 'cross': {
+      const t = r * 0.38;
+      ctx.moveTo(cx - t, cy - r);
+      [[t, -r], [t, -t], [r, -t], [r, t], [t, t], [t, r], [-t, r], [-t, t], [-r, t], [-r, -t], [-t, -t]]
+        .forEach(([dx, dy]) => ctx.lineTo(cx + dx, cy + dy));
+      ctx.closePath();
+      break;
+    }
+    default: break;
+  }
+}
+
+/**
+ * The color cue: a tinted shape with a solid outline, behind the symbol
+ */
+function drawColorCue(ctx, cx, cy, size, colorName) {
+  const shape = COLOR_CUE_SHAPES[colorName];
+  if (!shape) return;
+  const color = getRuneColor(colorName);
+  ctx.save();
+  traceCueShape(ctx, shape, cx, cy, size * 0.46);
+  ctx.globalAlpha = 0.2;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = 0.9;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(1, size / 20);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw a rune to a 2D context (zodiac symbols, wild, skull and the other specials)
  */
 export function drawRune(ctx, px, py, size, rune) {
   const cx = px + size / 2;
   const cy = py + size / 2;
+  const { runes } = getTheme();
 
   if (rune.isSkull) {
     drawSkull(ctx, cx, cy, size);
     return;
   }
 
+  const special = getSpecialKind(rune);
+  if (special) {
+    ctx.save();
+    SPECIAL_ART[special](ctx, cx, cy, size, rune);
+    ctx.restore();
+    return;
+  }
+
   if (rune.isWild) {
-    ctx.fillStyle = COLOR_MAP.grey || '#6b7280';
+    ctx.fillStyle = runes.wild;
     ctx.fillRect(px, py, size, size);
-    ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+    ctx.strokeStyle = runes.wildBorder;
     ctx.lineWidth = 1;
     ctx.strokeRect(px, py, size, size);
     return;
   }
 
-  const color = COLOR_MAP[rune.color] || '#888';
+  if (runeStyle.cues) drawColorCue(ctx, cx, cy, size, rune.color);
+  const color = getRuneColor(rune.color);
   ctx.fillStyle = color;
   ctx.strokeStyle = color;
   ctx.lineWidth = 2;
@@ -48,7 +213,7 @@ export function drawRune(ctx, px, py, size, rune) {
   const symbol = rune.symbol;
   if (symbol && ZODIAC_UNICODE[symbol]) {
     const char = ZODIAC_UNICODE[symbol];
-    ctx.font = `bold ${size * 0.7}px "Segoe UI Symbol", "Arial Unicode MS", sans-serif`;
+    ctx.font = `bold ${size * 0.7}px ${runes.font}`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     ctx.fillText(char, cx, cy);
@@ -64,8 +229,9 @@ export function drawRune(ctx, px, py, size, rune) {
 
 function drawSkull(ctx, cx, cy, size) {
   const r = size / 3;
-  ctx.fillStyle = '#e5e7eb';
-  ctx.strokeStyle = '#9ca3af';
+  const { runes } = getTheme();
+  ctx.fillStyle = runes.skull;
+  ctx.strokeStyle = runes.skullOutline;
   ctx.lineWidth = 1;
 
   // Skull shape (simplified)
@@ -75,7 +241,7 @@ function drawSkull(ctx, cx, cy, size) {
   ctx.stroke();
 
   // Eye sockets
-  ctx.fillStyle = '#374151';
+  ctx.fillStyle = runes.skullEyes;
   ctx.beginPath();
   ctx.ellipse(cx - r * 0.35, cy - r * 0.4, r * 0.2, r * 0.25, 0, 0, Math.PI * 2);
   ctx.fill();
@@ -84,7 +250,7 @@ function drawSkull(ctx, cx, cy, size) {
   ctx.fill();
 
   // Crossbones - X shape
-  ctx.strokeStyle = '#e5e7eb';
+  ctx.strokeStyle = runes.skull;
   ctx.lineWidth = Math.max(1, size / 24);
   ctx.beginPath();
   ctx.moveTo(cx - r, cy + r * 0.2);
@@ -94,17 +260,373 @@ function drawSkull(ctx, cx, cy, size) {
   ctx.stroke();
 }
 
+function drawBomb(ctx, cx, cy, size) {
+  const r = size / 3.2;
+  const { specials } = getTheme();
+  ctx.fillStyle = specials.bomb;
+  ctx.strokeStyle = specials.bombOutline;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.arc(cx - r * 0.1, cy + r * 0.15, r, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  // Shine
+  ctx.fillStyle = 'rgba(255,255,255,0.35)';
+  ctx.beginPath();
+  ctx.arc(cx - r * 0.45, cy - r * 0.2, r * 0.22, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Fuse and spark
+  ctx.strokeStyle = specials.fuse;
+  ctx.lineWidth = Math.max(1, size / 20);
+  ctx.beginPath();
+  ctx.moveTo(cx + r * 0.5, cy - r * 0.7);
+  ctx.quadraticCurveTo(cx + r * 0.9, cy - r * 1.3, cx + r * 1.2, cy - r * 1.1);
+  ctx.stroke();
+  ctx.fillStyle = specials.gold;
+  ctx.beginPath();
+  ctx.arc(cx + r * 1.2, cy - r * 1.1, Math.max(1.5, size / 14), 0, Math.PI * 2);
+  ctx.fill();
+}
+
+/** Round-bottomed flask filled with the transmuter's color */
+function drawTransmuter(ctx, cx, cy, size, rune) {
+  const r = size / 3.6;
+  const color = getRuneColor(rune.color);
+  const { specials } = getTheme();
+  ctx.lineWidth = Math.max(1, size / 24);
+  ctx.strokeStyle = specials.glass;
+
+  // Liquid in the bulb
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(cx, cy + r * 0.45, r, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Glass outline: bulb plus neck
+  ctx.beginPath();
+  ctx.arc(cx, cy + r * 0.45, r, -Math.PI / 2 + 0.45, Math.PI * 1.5 - 0.45);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(cx - r * 0.3, cy - r * 0.5);
+  ctx.lineTo(cx - r * 0.3, cy - r * 1.35);
+  ctx.moveTo(cx + r * 0.3, cy - r * 0.5);
+  ctx.lineTo(cx + r * 0.3, cy - r * 1.35);
+  ctx.moveTo(cx - r * 0.5, cy - r * 1.35);
+  ctx.lineTo(cx + r * 0.5, cy - r * 1.35);
+  ctx.stroke();
+
+  // Color cue outlined on the liquid
+  if (runeStyle.cues && COLOR_CUE_SHAPES[rune.color]) {
+    traceCueShape(ctx, COLOR_CUE_SHAPES[rune.color], cx, cy + r * 0.45, r * 0.5);
+    ctx.strokeStyle = specials.cueOutline;
+    ctx.stroke();
+  }
+}
+
+/** Gold bar running the width of the cell, with arrowheads at both ends */
+function drawLine(ctx, cx, cy, size) {
+  const half = size * 0.4;
+  const thick = size * 0.18;
+  const { specials } = getTheme();
+  ctx.fillStyle = specials.gold;
+  ctx.strokeStyle = specials.goldDark;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(cx - half, cy);
+  ctx.lineTo(cx - half + thick, cy - thick);
+  ctx.lineTo(cx + half - thick, cy - thick);
+  ctx.lineTo(cx + half, cy);
+  ctx.lineTo(cx + half - thick, cy + thick);
+  ctx.lineTo(cx - half + thick, cy + thick);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+}
+
+/** Philosopher's stone: the alchemists' circle, square, triangle, circle */
+function drawStone(ctx, cx, cy, size) {
+  const r = size * 0.38;
+  const { specials } = getTheme();
+  ctx.strokeStyle = specials.gold;
+  ctx.lineWidth = Math.max(1, size / 28);
+  ctx.beginPath();
+  ctx.arc(cx, cy, r, 0, Math.PI * 2);
+  ctx.stroke();
+
+  const half = r / Math.SQRT2;
+  ctx.strokeRect(cx - half, cy - half, half * 2, half * 2);
+
+  // Triangle inscribed in the square, then a circle inscribed in the triangle
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - half);
+  ctx.lineTo(cx + half, cy + half);
+  ctx.lineTo(cx - half, cy + half);
+  ctx.closePath();
+  ctx.stroke();
+
+  const side = Math.hypot(half, half * 2);
+  const inradius = (half * 2 * half * 2) / (2 * side + half * 2);
+  ctx.fillStyle = specials.goldGlow;
+  ctx.beginPath();
+  ctx.arc(cx, cy + half - inradius, inradius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+}
+
+const SPECIAL_ART = {
+  bomb: drawBomb,
+  transmuter: drawTransmuter,
+  line: drawLine,
+  stone: drawStone,
+};
+
+/** Hover tint over the cells a special would affect, by theme effect */
+const SPECIAL_EFFECT_TINTS = {
+  bomb: 'bomb',
+  line: 'gild',
+  stone: 'gild',
+};
+
+/** Lead fill for a number of layers */
+function leadColor(cells, layers) {
+  return cells.lead[Math.min(layers, cells.lead.length) - 1];
+}
+
+/** Miniature color for an encodeGrid() character (race.js) */
+function miniGridColor(cells, ch) {
+  if (ch === '.') return cells.hole;
+  if (ch === '#') return cells.badgeText;
+  if (ch === 'g') return cells.gold;
+  return leadColor(cells, Number(ch) || 1);
+}
+
+/**
+ * Draw an opponent's board from its encodeGrid() rows, `cell` pixels per square
+ */
+export function drawMiniGrid(canvas, rows, cell = 6) {
+  const width = rows[0]?.length ?? 0;
+  canvas.width = width * cell;
+  canvas.height = rows.length * cell;
+  const ctx = canvas.getContext('2d');
+  const { cells } = getTheme();
+  rows.forEach((row, y) => {
+    [...row].forEach((ch, x) => {
+      ctx.fillStyle = miniGridColor(cells, ch);
+      ctx.fillRect(x * cell, y * cell, cell - 1, cell - 1);
+    });
+  });
+}
+
+const HINT_DURATION_MS = 5000;
+const HINT_PULSE_MS = 800;
+
 const SCORE_POPUP_DURATION_MS = 1000;
 const SCORE_POPUP_RISE_PX = 32;
 
+const DROP_MS = 220;
+const FADE_MS = 300;
+const SKULL_MS = 260;
+const SWEEP_MS = 320;
+const SHIMMER_MS = 700;
+const CELEBRATION_MS = 1400;
+const CELEBRATION_PARTICLES = 48;
+const PARTICLE_GRAVITY = 900; // px/s²
+
 export class Renderer {
-  constructor(canvas, gameState) {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.animate] - Tween board changes; off for boards that only render on change (editor)
+   */
+  constructor(canvas, gameState, options = {}) {
+    const { animate = true } = options;
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.gameState = gameState;
     this.cellSize = gameState.cellSize;
     this.padding = 16;
     this.scorePopups = [];
+    this.keyboardCursor = null; // { x, y } while playing with the keyboard
+    this.previewCell = null; // { x, y } touch tap-to-preview, awaiting a confirming tap
+    this.hint = null; // { x, y, startTime } suggested cell from the Hint button
+    this.animate = animate;
+    this.timeline = new Timeline();
+    // What the last frame showed, diffed each frame to find runes landing or leaving and lead turning gold.
+    // A different game or grid array (new board, undo, replay seek) is a jump, not a move, and isn't animated.
+    this.shownState = null;
+    this.shownGrid = null;
+    this.shown = [];
+    this.skullHits = new Set(); // "x,y" squares a skull just cleared, so the rune goes with a flash
+  }
+
+  /**
+   * Animations that react to a move rather than to the cells changing: row/column sweeps and skull strikes.
+   * Subscribe with gameState.addListener(); the renderer doesn't, as its gameState can be swapped.
+   */
+  handleGameEvent(event) {
+    if (event.type === 'place') {
+      event.clearedRows.forEach((y) => this.addSweep('row', y));
+      event.clearedColumns.forEach((x) => this.addSweep('column', x));
+    } else if (event.type === 'skull') {
+      this.skullHits.add(`${event.x},${event.y}`);
+    }
+  }
+
+  /** An animation that should finish before the next move is still running */
+  isBusy() {
+    return this.timeline.isBlocking();
+  }
+
+  /**
+   * Burst of particles over the board for a completed board
+   * @returns {number} ms it runs for, 0 with reduced motion
+   */
+  celebrate() {
+    const { effects } = getTheme();
+    const width = this.gameState.gridWidth * this.cellSize;
+    const height = this.gameState.gridHeight * this.cellSize;
+    const particles = Array.from({ length: CELEBRATION_PARTICLES }, (_, i) => ({
+      x: width * Math.random(),
+      y: height * (0.3 + 0.4 * Math.random()),
+      vx: (Math.random() - 0.5) * 320,
+      vy: -250 - Math.random() * 350,
+      size: 3 + Math.random() * 4,
+      color: effects.particles[i % effects.particles.length],
+    }));
+    const tween = this.timeline.add({
+      duration: CELEBRATION_MS,
+      draw: (value, offsetX, offsetY) => {
+        const t = (value * CELEBRATION_MS) / 1000;
+        this.ctx.save();
+        this.ctx.globalAlpha = 1 - value;
+        particles.forEach((p) => {
+          this.ctx.fillStyle = p.color;
+          const x = offsetX + p.x + p.vx * t;
+          const y = offsetY + p.y + p.vy * t + 0.5 * PARTICLE_GRAVITY * t * t;
+          this.ctx.fillRect(x - p.size / 2, y - p.size / 2, p.size, p.size);
+        });
+        this.ctx.restore();
+      },
+    });
+    return tween ? CELEBRATION_MS : 0;
+  }
+
+  /**
+   * A bright band running along a cleared row or column
+   * @param {'row' | 'column'} kind
+   */
+  addSweep(kind, index) {
+    if (!this.animate) return;
+    this.timeline.add({
+      duration: SWEEP_MS,
+      easing: Easing.easeInOutSine,
+      blocking: true,
+      draw: (value, offsetX, offsetY) => {
+        const { cellSize } = this;
+        const length = (kind === 'row' ? this.gameState.gridWidth : this.gameState.gridHeight) * cellSize;
+        const band = cellSize * 1.5;
+        const along = -band + value * (length + band);
+        const { sweep } = getTheme().effects;
+        this.ctx.save();
+        this.ctx.beginPath();
+        if (kind === 'row') {
+          this.ctx.rect(offsetX, offsetY + index * cellSize, length, cellSize);
+        } else {
+          this.ctx.rect(offsetX + index * cellSize, offsetY, cellSize, length);
+        }
+        this.ctx.clip();
+        const [x0, y0] = kind === 'row' ? [offsetX + along, 0] : [0, offsetY + along];
+        const [x1, y1] = kind === 'row' ? [x0 + band, 0] : [0, y0 + band];
+        const gradient = this.ctx.createLinearGradient(x0, y0, x1, y1);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(0.5, sweep);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        this.ctx.fillStyle = gradient;
+        this.ctx.fillRect(offsetX, offsetY, this.gameState.gridWidth * cellSize, this.gameState.gridHeight * cellSize);
+        this.ctx.restore();
+      },
+    });
+  }
+
+  /**
+   * Compare the grid with the last frame's and start tweens for what changed
+   */
+  detectChanges() {
+    const { gameState } = this;
+    const { grid } = gameState;
+    const jumped = this.shownState !== gameState || this.shownGrid !== grid;
+    const shown = grid.map((row) => row.map((c) => ({ rune: c.rune, state: c.state })));
+    if (this.animate && !jumped) {
+      shown.forEach((row, y) => row.forEach((now, x) => {
+        const before = this.shown[y]?.[x];
+        if (!before) return;
+        if (!before.rune && now.rune) this.addDrop(x, y);
+        if (before.rune && !now.rune) this.addRemoval(x, y, before.rune);
+        if (before.state === CellState.LEAD && now.state === CellState.GOLD) this.addShimmer(x, y);
+      }));
+    }
+    this.skullHits.clear();
+    this.shownState = gameState;
+    this.shownGrid = grid;
+    this.shown = shown;
+  }
+
+  /** The rune just placed at (x, y) falls in; renderCell reads the tween */
+  addDrop(x, y) {
+    this.timeline.add({ key: `drop:${x},${y}`, duration: DROP_MS, easing: Easing.easeOutBack });
+  }
+
+  /**
+   * A rune leaving the board: it shrinks and fades, or after a skull, flashes red as it goes
+   */
+  addRemoval(x, y, rune) {
+    const skull = this.skullHits.has(`${x},${y}`);
+    this.timeline.add({
+      duration: skull ? SKULL_MS : FADE_MS,
+      easing: Easing.easeOutCubic,
+      blocking: skull,
+      draw: (value, offsetX, offsetY) => {
+        const size = this.cellSize - 2;
+        const px = offsetX + x * this.cellSize + 1;
+        const py = offsetY + y * this.cellSize + 1;
+        this.ctx.save();
+        if (skull) {
+          this.ctx.globalAlpha = 0.6 * (1 - value);
+          this.ctx.fillStyle = getTheme().highlight.skullTarget;
+          this.ctx.fillRect(px, py, size, size);
+        }
+        const scale = 1 - 0.5 * value;
+        this.ctx.globalAlpha = 1 - value;
+        this.ctx.translate(px + size / 2, py + size / 2);
+        if (skull) this.ctx.rotate(value * 0.6);
+        this.ctx.scale(scale, scale);
+        drawRune(this.ctx, -size / 2, -size / 2, size, rune);
+        this.ctx.restore();
+      },
+    });
+  }
+
+  /** A glint sweeping diagonally across lead that just turned gold */
+  addShimmer(x, y) {
+    this.timeline.add({
+      duration: SHIMMER_MS,
+      easing: Easing.easeInOutSine,
+      draw: (value, offsetX, offsetY) => {
+        const { cellSize } = this;
+        const px = offsetX + x * cellSize;
+        const py = offsetY + y * cellSize;
+        const along = -cellSize + value * cellSize * 3;
+        const gradient = this.ctx.createLinearGradient(px + along - cellSize / 2, py + along - cellSize / 2, px + along, py + along);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(0.5, getTheme().effects.shimmer);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        this.ctx.save();
+        this.ctx.fillStyle = gradient;
+        this.ctx.fillRect(px + 1, py + 1, cellSize - 2, cellSize - 2);
+        this.ctx.restore();
+      },
+    });
   }
 
   /**
@@ -119,6 +641,17 @@ export class Renderer {
     });
   }
 
+  /**
+   * Pulse a suggested cell for a few seconds
+   */
+  showHint(gx, gy) {
+    this.hint = { x: gx, y: gy, startTime: Date.now() };
+  }
+
+  clearHint() {
+    this.hint = null;
+  }
+
   resize() {
     const dpr = window.devicePixelRatio || 1;
     const rect = this.canvas.getBoundingClientRect();
@@ -134,6 +667,8 @@ export class Renderer {
   }
 
   render() {
+    this.detectChanges();
+    this.timeline.update();
     this.ctx.clearRect(0, 0, this.width, this.height);
 
     const boardWidth =
@@ -145,18 +680,21 @@ export class Renderer {
 
     this.renderBoard(offsetX, offsetY);
     this.renderCells(offsetX, offsetY);
+    this.timeline.draw(offsetX, offsetY);
+    this.renderHint(offsetX, offsetY);
     this.renderScorePopups(offsetX, offsetY);
     this.renderGridOverlay(offsetX, offsetY);
   }
 
   renderScorePopups(offsetX, offsetY) {
     const now = Date.now();
+    const { popup, font } = getTheme();
     this.scorePopups = this.scorePopups.filter((p) => {
       const elapsed = now - p.startTime;
       if (elapsed >= SCORE_POPUP_DURATION_MS) return false;
 
       const t = elapsed / SCORE_POPUP_DURATION_MS;
-      const rise = t * SCORE_POPUP_RISE_PX;
+      const rise = isReducedMotion() ? 0 : t * SCORE_POPUP_RISE_PX;
       const alpha = 1 - t;
 
       const cx = offsetX + p.gx * this.cellSize + this.cellSize / 2;
@@ -164,9 +702,9 @@ export class Renderer {
 
       this.ctx.save();
       this.ctx.globalAlpha = alpha;
-      this.ctx.font = 'bold 18px "Segoe UI", sans-serif';
-      this.ctx.fillStyle = '#fbbf24';
-      this.ctx.strokeStyle = '#92400e';
+      this.ctx.font = `bold ${popup.size}px ${font}`;
+      this.ctx.fillStyle = popup.fill;
+      this.ctx.strokeStyle = popup.stroke;
       this.ctx.lineWidth = 2;
       this.ctx.textAlign = 'center';
       this.ctx.textBaseline = 'middle';
@@ -179,16 +717,40 @@ export class Renderer {
     });
   }
 
+  renderHint(offsetX, offsetY) {
+    if (!this.hint) return;
+    const elapsed = Date.now() - this.hint.startTime;
+    if (elapsed >= HINT_DURATION_MS) {
+      this.hint = null;
+      return;
+    }
+    // Reduced motion: a steady outline instead of a pulse
+    const pulse = isReducedMotion() ? 1 : 0.5 + 0.5 * Math.sin((elapsed / HINT_PULSE_MS) * Math.PI * 2);
+    const px = offsetX + this.hint.x * this.cellSize;
+    const py = offsetY + this.hint.y * this.cellSize;
+
+    const { hint } = getTheme().highlight;
+    this.ctx.save();
+    this.ctx.strokeStyle = hint;
+    this.ctx.globalAlpha = 0.5 + 0.5 * pulse;
+    this.ctx.lineWidth = 2 + 2 * pulse;
+    this.ctx.shadowColor = hint;
+    this.ctx.shadowBlur = 8 * pulse;
+    this.ctx.strokeRect(px + 2, py + 2, this.cellSize - 4, this.cellSize - 4);
+    this.ctx.restore();
+  }
+
   renderBoard(offsetX, offsetY) {
     const w = this.gameState.gridWidth * this.cellSize;
     const h = this.gameState.gridHeight * this.cellSize;
 
-    this.ctx.fillStyle = '#1a1a2e';
+    const { board } = getTheme();
+    this.ctx.fillStyle = board.background;
     this.ctx.beginPath();
     this.roundRect(this.ctx, offsetX - 4, offsetY - 4, w + 8, h + 8, 12);
     this.ctx.fill();
 
-    this.ctx.strokeStyle = '#4a4a6a';
+    this.ctx.strokeStyle = board.border;
     this.ctx.lineWidth = 2;
     this.ctx.stroke();
   }
@@ -207,6 +769,9 @@ export class Renderer {
 
   renderCells(offsetX, offsetY) {
     const { grid, selectedCell } = this.gameState;
+    const cursor = this.keyboardCursor;
+    const preview = this.previewCell;
+    const effectCells = this.getSpecialEffectCells();
 
     for (let y = 0; y < grid.length; y++) {
       for (let x = 0; x < grid[y].length; x++) {
@@ -215,52 +780,129 @@ export class Renderer {
         const py = offsetY + y * this.cellSize;
         const isSelected = selectedCell && selectedCell.x === x && selectedCell.y === y;
         const isSkullTarget = this.gameState.currentRune?.isSkull && this.gameState.canSkullRemoveAt(x, y);
+        const isCursor = cursor && cursor.x === x && cursor.y === y;
+        const isPreview = preview && preview.x === x && preview.y === y;
+        const effect = effectCells.has(`${x},${y}`) ? getSpecialKind(this.gameState.currentRune) : null;
+        const landing = this.timeline.get(`drop:${x},${y}`);
 
-        this.renderCell(px, py, cell, isSelected, isSkullTarget);
+        this.renderCell(px, py, cell, isSelected, isSkullTarget, isCursor, isPreview, effect, landing);
       }
     }
   }
 
-  renderCell(px, py, cell, isSelected, isSkullTarget) {
+  /**
+   * Cells the held special would change if used on the hovered, previewed or cursor cell, as "x,y" keys
+   */
+  getSpecialEffectCells() {
+    const { currentRune, selectedCell } = this.gameState;
+    const aim = this.previewCell ?? selectedCell ?? this.keyboardCursor;
+    if (!aim || !getSpecialKind(currentRune)) return new Set();
+    return new Set(this.gameState.getSpecialTargets(aim.x, aim.y).map((t) => `${t.x},${t.y}`));
+  }
+
+  /**
+   * @param {string | null} effect - Special kind whose effect this cell would receive (hover preview)
+   * @param {number | null} landing - Drop-in tween of a rune just placed here, 0 to 1 (overshooting a little)
+   */
+  renderCell(px, py, cell, isSelected, isSkullTarget, isCursor = false, isPreview = false, effect = null, landing = null) {
     const size = this.cellSize - 2;
     const margin = 1;
+    const theme = getTheme();
+    const { cells, highlight } = theme;
 
+    const layers = cell.state === CellState.LEAD ? cell.layers ?? 1 : 0;
     if (cell.state === CellState.EMPTY) {
-      this.ctx.fillStyle = '#16213e';
+      this.ctx.fillStyle = cells.hole;
     } else if (cell.state === CellState.LEAD) {
-      this.ctx.fillStyle = '#3d3d5c';
+      this.ctx.fillStyle = leadColor(cells, layers);
     } else {
-      this.ctx.fillStyle = '#b8860b';
+      this.ctx.fillStyle = cells.gold;
     }
 
     this.ctx.fillRect(px + margin, py + margin, size, size);
 
+    // Extra lead layers: one inset ring per layer beyond the first
+    for (let i = 1; i < layers; i++) {
+      const inset = margin + i * 4;
+      this.ctx.strokeStyle = cells.leadRing;
+      this.ctx.lineWidth = 1.5;
+      this.ctx.strokeRect(px + inset, py + inset, this.cellSize - inset * 2, this.cellSize - inset * 2);
+    }
+
     if (isSelected) {
-      this.ctx.strokeStyle = '#fbbf24';
+      this.ctx.strokeStyle = highlight.selected;
       this.ctx.lineWidth = 3;
       this.ctx.strokeRect(px + margin, py + margin, size, size);
     }
     if (isSkullTarget) {
-      this.ctx.strokeStyle = '#ef4444';
+      this.ctx.strokeStyle = highlight.skullTarget;
       this.ctx.lineWidth = 3;
       this.ctx.strokeRect(px + margin, py + margin, size, size);
     }
 
     if (cell.rune) {
-      if (cell.rune.isWild) {
-        this.ctx.fillStyle = '#6b7280';
+      this.ctx.save();
+      if (landing !== null) {
+        // Falls from a little above, growing into place
+        const cx = px + this.cellSize / 2;
+        const cy = py + this.cellSize / 2;
+        const scale = 0.6 + 0.4 * landing;
+        this.ctx.globalAlpha = Math.min(1, landing * 2);
+        this.ctx.translate(cx, cy - (1 - landing) * this.cellSize * 0.4);
+        this.ctx.scale(scale, scale);
+        this.ctx.translate(-cx, -cy);
+      }
+      if (!cell.rune.isWild && theme.runes.background) {
+        this.ctx.fillStyle = theme.runes.background;
         this.ctx.fillRect(px + margin, py + margin, size, size);
-        this.ctx.strokeStyle = 'rgba(255,255,255,0.3)';
-        this.ctx.lineWidth = 1;
-        this.ctx.strokeRect(px + margin, py + margin, size, size);
-      } else {
-        drawRune(this.ctx, px + margin, py + margin, size, cell.rune);
       }
+      drawRune(this.ctx, px + margin, py + margin, size, cell.rune);
+      // The rune hides the rings, so badge how much lead is still under it
+      if (layers >= 2) {
+        const badge = Math.max(10, Math.round(this.cellSize * 0.3));
+        this.ctx.save();
+        this.ctx.fillStyle = cells.badge;
+        this.ctx.fillRect(px + margin + size - badge, py + margin, badge, badge);
+        this.ctx.fillStyle = cells.badgeText;
+        this.ctx.font = `bold ${Math.round(badge * 0.75)}px ${theme.font}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(String(layers), px + margin + size - badge / 2, py + margin + badge / 2 + 1);
+        this.ctx.restore();
+      }
+      this.ctx.restore();
+    }
+
+    if (effect) {
+      this.ctx.fillStyle = effect === 'transmuter'
+        ? getRuneColor(this.gameState.currentRune.color)
+        : theme.effects[SPECIAL_EFFECT_TINTS[effect]];
+      this.ctx.save();
+      if (effect === 'transmuter') this.ctx.globalAlpha = 0.4;
+      this.ctx.fillRect(px + margin, py + margin, size, size);
+      this.ctx.restore();
+    }
+
+    if (isPreview && this.gameState.currentRune && !isTargetedRune(this.gameState.currentRune)) {
+      this.ctx.save();
+      this.ctx.globalAlpha = 0.5;
+      drawRune(this.ctx, px + margin, py + margin, size, this.gameState.currentRune);
+      this.ctx.restore();
+    }
+
+    // Keyboard cursor: dashed outline on top of everything, whether or not the move is legal
+    if (isCursor) {
+      this.ctx.save();
+      this.ctx.strokeStyle = highlight.cursor;
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash([4, 3]);
+      this.ctx.strokeRect(px + margin + 3, py + margin + 3, size - 6, size - 6);
+      this.ctx.restore();
     }
   }
 
   renderGridOverlay(offsetX, offsetY) {
-    this.ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    this.ctx.strokeStyle = getTheme().board.grid;
     this.ctx.lineWidth = 1;
 
     for (let i = 0; i <= this.gameState.gridWidth; i++) {
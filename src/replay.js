@@ -0,0 +1,211 @@
+/**
+ * Game replays: a seed plus the action log, re-driven through GameState.
+ * DOM-free apart from the localStorage helpers, so replays can also be re-simulated in Node.
+ */
+
+import { GameState, ActionType } from './game.js';
+
+const STORAGE_KEY = 'allthatglitters_replays';
+const MAX_REPLAYS = 20;
+
+/**
+ * Bump whenever a rule change makes an action log play out differently; stored replays of
+ * another version are dropped rather than played back wrong.
+ *   2: a row and a column filled by the same placement both clear and both score
+ *   3: runes queued for the preview are redrawn from the next board's pool when the board changes
+ *   4: line and stone take one layer off layered lead instead of gilding it outright; leaderboard proofs
+ *      (verify.js) carry the version too
+ */
+export const REPLAY_VERSION = 4;
+
+/** Longest pause between two actions during playback at 1x (ms) */
+const MAX_ACTION_GAP_MS = 1500;
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+/**
+ * Build a replay record from a finished (or in-progress) game
+ * @param {GameState} gameState
+ */
+export function createReplay(gameState) {
+  const { config } = gameState.serialize();
+  return {
+    version: REPLAY_VERSION,
+    id: `${Date.now().toString(36)}-${gameState.seed.toString(36)}`,
+    date: new Date().toISOString(),
+    config,
+    actions: gameState.actionLog.map((a) => [...a]),
+    score: gameState.score,
+    board: gameState.board,
+    boardsCleared: gameState.boardsCleared,
+  };
+}
+
+/**
+ * Apply one logged action to a game. Board completion is awarded as soon as a board
+ * fills with gold, just like the live game does when it shows the Board Complete modal.
+ * @returns {boolean} false if the action was not legal in this state
+ */
+export function applyReplayAction(gameState, action) {
+  const [type, , x, y] = action;
+  let ok = false;
+  switch (type) {
+    case ActionType.PLACE:
+      ok = gameState.placeRune(x, y).placed;
+      break;
+    case ActionType.DISCARD:
+      ok = gameState.discardToForge();
+      break;
+    case ActionType.SKULL:
+      ok = gameState.useSkullToRemove(x, y);
+      break;
+    case ActionType.SPECIAL:
+      ok = gameState.useSpecial(x, y).used;
+      break;
+    case ActionType.CONTINUE:
+      ok = gameState.isLevelComplete();
+      if (ok) gameState.startNewRound();
+      break;
+    case ActionType.UNDO:
+      ok = gameState.undo();
+      break;
+    case ActionType.REDO:
+      ok = gameState.redo();
+      break;
+    default:
+      return false;
+  }
+  if (ok && type !== ActionType.CONTINUE && gameState.isLevelComplete()) {
+    gameState.completeBoard();
+  }
+  return ok;
+}
+
+/**
+ * Fresh GameState for a replay with the first `count` actions applied
+ */
+export function buildReplayState(replay, count = 0) {
+  const gameState = new GameState(replay.config);
+  const n = Math.min(count, replay.actions.length);
+  for (let i = 0; i < n; i++) {
+    applyReplayAction(gameState, replay.actions[i]);
+  }
+  return gameState;
+}
+
+/**
+ * Drives a replay forward/backward in time. Stepping back rebuilds from the seed,
+ * which is cheap for games of a few hundred moves and keeps playback exact.
+ */
+export class ReplayPlayer {
+  constructor(replay, onChange) {
+    this.replay = replay;
+    this.onChange = onChange;
+    this.index = 0; // number of actions applied
+    this.speed = 1;
+    this.playing = false;
+    this.timer = null;
+    this.gameState = buildReplayState(replay, 0);
+  }
+
+  get length() {
+    return this.replay.actions.length;
+  }
+
+  isAtEnd() {
+    return this.index >= this.length;
+  }
+
+  /**
+   * Apply the next action. Returns the action, or null at the end.
+   */
+  stepForward() {
+    if (this.isAtEnd()) return null;
+    const action = this.replay.actions[this.index];
+    applyReplayAction(this.gameState, action);
+    this.index += 1;
+    this.onChange?.(action);
+    return action;
+  }
+
+  stepBack() {
+    if (this.index <= 0) return;
+    this.seek(this.index - 1);
+  }
+
+  seek(index) {
+    this.index = Math.max(0, Math.min(index, this.length));
+    this.gameState = buildReplayState(this.replay, this.index);
+    this.onChange?.(null);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.isAtEnd()) this.seek(0);
+    this.playing = true;
+    this.scheduleNext();
+    this.onChange?.(null);
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.onChange?.(null);
+  }
+
+  scheduleNext() {
+    if (!this.playing) return;
+    if (this.isAtEnd()) {
+      this.pause();
+      return;
+    }
+    const prevT = this.index > 0 ? this.replay.actions[this.index - 1][1] : 0;
+    const nextT = this.replay.actions[this.index][1];
+    const gap = Math.min(Math.max(0, nextT - prevT), MAX_ACTION_GAP_MS);
+    this.timer = setTimeout(() => {
+      this.stepForward();
+      this.scheduleNext();
+    }, gap / this.speed);
+  }
+
+  destroy() {
+    this.pause();
+    this.onChange = null;
+  }
+}
+
+/**
+ * Load stored replays, newest first
+ */
+export function loadReplays() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) return [];
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed.filter((r) => r?.version === REPLAY_VERSION) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Store a replay, keeping only the most recent MAX_REPLAYS
+ */
+export function saveReplay(replay) {
+  const replays = [replay, ...loadReplays().filter((r) => r.id !== replay.id)].slice(0, MAX_REPLAYS);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getReplay(id) {
+  return loadReplays().find((r) => r.id === id) ?? null;
+}
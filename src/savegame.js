@@ -0,0 +1,45 @@
+/**
+ * In-progress game autosave using localStorage
+ */
+
+import { GameState } from './game.js';
+
+const STORAGE_KEY = 'allthatglitters_savegame';
+
+/**
+ * Save the current game so it can be resumed later
+ * @param {GameState} gameState
+ */
+export function saveGame(gameState) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(gameState.serialize()));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load the saved game. Returns null if there is none or it can't be read by this build.
+ * @returns {GameState|null}
+ */
+export function loadSavedGame() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) return null;
+    return GameState.deserialize(JSON.parse(data));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the saved game (e.g. once it has ended)
+ */
+export function clearSavedGame() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage unavailable - nothing to clear
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Player settings persisted in localStorage
+ */
+
+const STORAGE_KEY = 'allthatglitters_settings';
+
+export const DEFAULT_SETTINGS = {
+  confirmPlacement: false, // touch: first tap previews, second tap on the same cell places
+  showPreview: true, // show the next-rune queue where the difficulty allows it
+  leaderboardUrl: '', // shared leaderboard server (server/leaderboard-server.js); empty keeps scores local
+  raceServerUrl: 'ws://localhost:8788', // race relay (server/race-server.js)
+  playerName: '', // name shown to other racers
+  theme: 'classic', // a THEMES key (themes.js), or 'custom' for the last theme loaded from a file
+  colorPalette: 'standard', // rune colors, a COLOR_PALETTES key (renderer.js)
+  colorCues: false, // draw a shape per color behind each rune
+  reducedMotion: 'auto', // 'auto' follows the system's reduced-motion preference, 'on' / 'off' override it
+};
+
+/**
+ * Load settings, filling in defaults for anything missing
+ */
+export function loadSettings() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    const parsed = data ? JSON.parse(data) : {};
+    return { ...DEFAULT_SETTINGS, ...(parsed && typeof parsed === 'object' ? parsed : {}) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Merge changes into the stored settings. Returns the updated settings.
+ * @param {object} changes
+ */
+export function saveSettings(changes) {
+  const settings = { ...loadSettings(), ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage unavailable - settings last for this session only
+  }
+  return settings;
+}
+
+export function getSetting(key) {
+  return loadSettings()[key];
+}
@@ -0,0 +1,137 @@
+/**
+ * Headless game runner for balance tuning - plays whole games with a strategy, no DOM
+ */
+
+import { GameState } from './game.js';
+import { DIFFICULTY_LEVELS, getRowClearPoints } from './constants.js';
+import { SeededRandom } from './random.js';
+import { STRATEGIES, applyMove } from './strategies.js';
+
+/** Safety net so a strategy that never dies can't run forever */
+const DEFAULT_MAX_MOVES = 5000;
+
+/**
+ * Play one strategic-mode game to the end
+ * @param {object} options
+ * @param {string} options.strategy - Key of STRATEGIES
+ * @param {string} options.difficulty - Key of DIFFICULTY_LEVELS
+ * @param {number} options.seed
+ * @param {number} [options.wildChance]
+ * @param {number} [options.skullChance]
+ * @param {number} [options.maxMoves]
+ */
+export function runSimulatedGame(options) {
+  const strategy = STRATEGIES[options.strategy];
+  if (!strategy) throw new Error(`Unknown strategy "${options.strategy}"`);
+  const diff = DIFFICULTY_LEVELS[options.difficulty];
+  if (!diff) throw new Error(`Unknown difficulty "${options.difficulty}"`);
+  const maxMoves = options.maxMoves ?? DEFAULT_MAX_MOVES;
+
+  const gameState = new GameState({
+    forgeCapacity: 3,
+    startBoard: diff.startBoard,
+    gameMode: 'strategic',
+    difficulty: options.difficulty,
+    undoLimit: 0,
+    seed: options.seed,
+    wildChance: options.wildChance,
+    skullChance: options.skullChance,
+  });
+  // Strategy randomness is seeded separately so it doesn't disturb the rune sequence
+  const strategyRng = new SeededRandom(options.seed ^ 0x5bd1e995);
+  const random = () => strategyRng.next();
+
+  const stats = {
+    score: 0,
+    boardsCleared: 0,
+    finalBoard: gameState.board,
+    moves: 0,
+    placements: 0,
+    discards: 0,
+    skullsUsed: 0,
+    specialsUsed: 0,
+    wildsPlaced: 0,
+    linesCleared: 0,
+    endReason: 'forge', // 'forge' = forge full with no placement, 'moveLimit' = stopped by maxMoves
+  };
+
+  while (!gameState.isGameOver()) {
+    if (stats.moves >= maxMoves) {
+      stats.endReason = 'moveLimit';
+      break;
+    }
+    if (gameState.isLevelComplete()) {
+      gameState.completeBoard();
+      gameState.startNewRound();
+      continue;
+    }
+    const move = strategy.chooseMove(gameState, random);
+    if (!move) break;
+    const rune = gameState.currentRune;
+    const scoreBefore = gameState.score;
+    if (!applyMove(gameState, move)) break;
+
+    stats.moves += 1;
+    if (move.type === 'discard') stats.discards += 1;
+    if (move.type === 'skull') stats.skullsUsed += 1;
+    if (move.type === 'special') stats.specialsUsed += 1;
+    if (move.type === 'place') {
+      stats.placements += 1;
+      if (rune.isWild) stats.wildsPlaced += 1;
+      // A placement alone scores less than one line clear, so the rest is whole line bonuses
+      stats.linesCleared += Math.floor((gameState.score - scoreBefore) / getRowClearPoints());
+    }
+  }
+
+  stats.score = gameState.score;
+  stats.boardsCleared = gameState.boardsCleared;
+  stats.finalBoard = gameState.board;
+  return stats;
+}
+
+/**
+ * min / mean / percentiles / max of a list of numbers
+ */
+export function describeDistribution(values) {
+  if (values.length === 0) return { min: 0, p10: 0, median: 0, mean: 0, p90: 0, max: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return {
+    min: sorted[0],
+    p10: at(0.1),
+    median: at(0.5),
+    mean: Math.round(mean * 10) / 10,
+    p90: at(0.9),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Play `games` games (seeds baseSeed, baseSeed + 1, ...) and summarize them
+ */
+export function runBatch({ games, baseSeed, ...options }) {
+  const results = [];
+  for (let i = 0; i < games; i++) {
+    results.push(runSimulatedGame({ ...options, seed: (baseSeed + i) >>> 0 }));
+  }
+  const field = (key) => results.map((r) => r[key]);
+  const perGame = (key) => Math.round((field(key).reduce((s, v) => s + v, 0) / results.length) * 100) / 100;
+  return {
+    strategy: options.strategy,
+    difficulty: options.difficulty,
+    games: results.length,
+    score: describeDistribution(field('score')),
+    boardsCleared: describeDistribution(field('boardsCleared')),
+    moves: describeDistribution(field('moves')),
+    forgeDeaths: results.filter((r) => r.endReason === 'forge').length,
+    moveLimitHits: results.filter((r) => r.endReason === 'moveLimit').length,
+    perGame: {
+      skullsUsed: perGame('skullsUsed'),
+      specialsUsed: perGame('specialsUsed'),
+      wildsPlaced: perGame('wildsPlaced'),
+      discards: perGame('discards'),
+      linesCleared: perGame('linesCleared'),
+    },
+  };
+}
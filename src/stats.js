@@ -0,0 +1,140 @@
+/**
+ * Statistics screen - lifetime totals, per-mode scores and a score-over-time chart from the game history
+ */
+
+import { loadHistory, computeStats } from './history.js';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { left: 48, right: 12, top: 12, bottom: 24 };
+
+/** "3h 12m" / "12m" / "45s" */
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Score of every game in order (grey), with the best score so far (gold) on top
+ */
+function drawScoreChart(canvas, scores) {
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.min(CHART_WIDTH, canvas.parentElement.clientWidth || CHART_WIDTH);
+  canvas.width = width * dpr;
+  canvas.height = CHART_HEIGHT * dpr;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${CHART_HEIGHT}px`;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, CHART_HEIGHT);
+
+  const { left, right, top, bottom } = CHART_PADDING;
+  const plotW = width - left - right;
+  const plotH = CHART_HEIGHT - top - bottom;
+  const maxScore = Math.max(100, ...scores.map((s) => s.score));
+  const xAt = (i) => left + (scores.length > 1 ? (i / (scores.length - 1)) * plotW : plotW / 2);
+  const yAt = (score) => top + plotH - (score / maxScore) * plotH;
+
+  // Axes and labels
+  ctx.strokeStyle = 'rgba(148, 163, 184, 0.4)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(left, top);
+  ctx.lineTo(left, top + plotH);
+  ctx.lineTo(left + plotW, top + plotH);
+  ctx.stroke();
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '11px "Segoe UI", sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(maxScore), left - 6, top);
+  ctx.fillText('0', left - 6, top + plotH);
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Game 1', left, top + plotH + 6);
+  ctx.textAlign = 'right';
+  ctx.fillText(`Game ${scores.length}`, left + plotW, top + plotH + 6);
+
+  if (scores.length === 0) return;
+
+  const plot = (values, color, lineWidth) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    values.forEach((v, i) => (i === 0 ? ctx.moveTo(xAt(i), yAt(v)) : ctx.lineTo(xAt(i), yAt(v))));
+    ctx.stroke();
+  };
+  plot(scores.map((s) => s.score), 'rgba(203, 213, 225, 0.7)', 1);
+  let bestSoFar = 0;
+  plot(scores.map((s) => (bestSoFar = Math.max(bestSoFar, s.score))), '#fbbf24', 2);
+
+  if (scores.length === 1) {
+    ctx.fillStyle = '#fbbf24';
+    ctx.beginPath();
+    ctx.arc(xAt(0), yAt(scores[0].score), 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function addStat(listEl, label, value) {
+  const item = document.createElement('div');
+  item.className = 'stat-tile';
+  const valueEl = document.createElement('strong');
+  valueEl.textContent = value;
+  const labelEl = document.createElement('span');
+  labelEl.textContent = label;
+  item.appendChild(valueEl);
+  item.appendChild(labelEl);
+  listEl.appendChild(item);
+}
+
+/**
+ * Open the statistics screen over whatever screen is showing
+ */
+export function openStatsScreen() {
+  const screenEl = document.getElementById('stats-screen');
+  const tilesEl = document.getElementById('stats-tiles');
+  const modesEl = document.getElementById('stats-modes');
+  const canvas = document.getElementById('stats-chart');
+  const stats = computeStats(loadHistory());
+  const { totals } = stats;
+
+  document.getElementById('stats-empty').hidden = stats.games > 0;
+  tilesEl.innerHTML = '';
+  addStat(tilesEl, 'Games played', stats.games);
+  addStat(tilesEl, 'Best score', stats.bestScore);
+  addStat(tilesEl, 'Average score', stats.averageScore);
+  addStat(tilesEl, 'Boards cleared', totals.boardsCleared);
+  addStat(tilesEl, 'Longest streak', stats.longestStreak);
+  addStat(tilesEl, 'Lead gilded', totals.leadGilded);
+  addStat(tilesEl, 'Rows cleared', totals.rowsCleared);
+  addStat(tilesEl, 'Columns cleared', totals.columnsCleared);
+  addStat(tilesEl, 'Skulls used', totals.skullsUsed);
+  addStat(tilesEl, 'Wilds placed', totals.wildsPlaced);
+  addStat(tilesEl, 'Specials used', totals.specialsUsed);
+  addStat(tilesEl, 'Discards', totals.discards);
+  addStat(tilesEl, 'Time played', formatDuration(totals.seconds));
+
+  modesEl.innerHTML = '';
+  stats.byMode.forEach(({ label, games, averageScore, bestScore }) => {
+    const row = document.createElement('tr');
+    [label, games, averageScore, bestScore].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    modesEl.appendChild(row);
+  });
+
+  screenEl.hidden = false;
+  const redraw = () => drawScoreChart(canvas, stats.scores);
+  redraw();
+  window.addEventListener('resize', redraw);
+  document.getElementById('stats-close-btn').onclick = () => {
+    window.removeEventListener('resize', redraw);
+    screenEl.hidden = true;
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Move evaluation and automated play strategies.
+ * DOM-free: used by the batch simulator (Node) and the in-game hint.
+ */
+
+import { createRune, getSpecialKind } from './game.js';
+
+/**
+ * Run fn against the game and put everything back afterwards
+ * (board, score, RNG, action log, undo history, hover selection).
+ * Listeners are detached meanwhile so trial moves don't count as real ones.
+ */
+export function withTrial(gameState, fn) {
+  const snap = gameState.snapshot();
+  const listeners = gameState.listeners;
+  gameState.listeners = [];
+  const logLength = gameState.actionLog.length;
+  const undoStack = gameState.undoStack.slice();
+  const redoStack = gameState.redoStack.slice();
+  const undoCount = gameState.undoCount;
+  const selectedCell = gameState.selectedCell;
+  try {
+    return fn();
+  } finally {
+    gameState.restoreSnapshot(snap);
+    gameState.actionLog.length = logLength;
+    gameState.undoStack = undoStack;
+    gameState.redoStack = redoStack;
+    gameState.undoCount = undoCount;
+    gameState.selectedCell = selectedCell;
+    gameState.listeners = listeners;
+  }
+}
+
+/**
+ * Could any single rune satisfy all of these neighbours (share color or symbol with each)?
+ */
+function isSatisfiable(neighbors) {
+  const runes = neighbors.filter((r) => !r.isWild);
+  if (runes.length <= 1) return true;
+  const colors = new Set(runes.map((r) => r.color));
+  const symbols = new Set(runes.map((r) => r.symbol));
+  for (const color of [...colors, null]) {
+    for (const symbol of [...symbols, null]) {
+      if (runes.every((r) => r.color === color || r.symbol === symbol)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Count empty cells next to the runes on the board, split into ones some rune could still
+ * fill ("open") and ones no rune can ever satisfy ("dead").
+ */
+export function countOpenCells(gameState) {
+  let open = 0;
+  let dead = 0;
+  for (let y = 0; y < gameState.gridHeight; y++) {
+    for (let x = 0; x < gameState.gridWidth; x++) {
+      const cell = gameState.getCell(x, y);
+      if (cell.rune || !gameState.isPlayable(cell)) continue;
+      const neighbors = gameState.getAdjacentCells(x, y).filter((c) => c.rune).map((c) => c.rune);
+      if (neighbors.length === 0) continue;
+      if (isSatisfiable(neighbors)) open++;
+      else dead++;
+    }
+  }
+  return { open, dead };
+}
+
+/**
+ * Every move available right now: placements (or skull/special targets) and, if the forge has room, a discard
+ */
+export function getLegalMoves(gameState) {
+  const moves = [];
+  let type = 'place';
+  if (gameState.currentRune?.isSkull) type = 'skull';
+  else if (getSpecialKind(gameState.currentRune)) type = 'special';
+  for (let y = 0; y < gameState.gridHeight; y++) {
+    for (let x = 0; x < gameState.gridWidth; x++) {
+      if (gameState.canActAt(x, y)) moves.push({ type, x, y });
+    }
+  }
+  if (gameState.currentRune && !gameState.isForgeFull()) {
+    moves.push({ type: 'discard' });
+  }
+  return moves;
+}
+
+/**
+ * Apply a move from getLegalMoves()
+ * @returns {boolean} whether it was applied
+ */
+export function applyMove(gameState, move) {
+  switch (move.type) {
+    case 'place':
+      return gameState.placeRune(move.x, move.y).placed;
+    case 'skull':
+      return gameState.useSkullToRemove(move.x, move.y);
+    case 'special':
+      return gameState.useSpecial(move.x, move.y).used;
+    case 'discard':
+      return gameState.discardToForge();
+    default:
+      return false;
+  }
+}
+
+/**
+ * Score a move for the player: points earned (lead -> gold and row/column clears are worth most),
+ * plus how open it leaves the board for future runes. Discards cost more as the forge fills.
+ * @returns {{ value: number, points: number, linesCleared: boolean, leadConverted: boolean, completesBoard: boolean }}
+ */
+export function evaluateMove(gameState, move) {
+  if (move.type === 'discard') {
+    const fill = (gameState.forge.length + 1) / gameState.forgeCapacity;
+    return { value: -8 - 24 * fill, points: 0, linesCleared: false, leadConverted: false, completesBoard: false };
+  }
+  return withTrial(gameState, () => {
+    const before = gameState.score;
+    const wasLead = move.type === 'place' && gameState.getCell(move.x, move.y)?.state === 'lead';
+    let linesCleared = false;
+    let gilded = false;
+    if (move.type === 'place') {
+      linesCleared = gameState.placeRune(move.x, move.y).rowColumnCleared;
+    } else if (move.type === 'special') {
+      // Line and stone take a layer off lead, gilding plain lead; bomb and transmuter score nothing
+      const gildedBefore = gameState.leadGilded;
+      gameState.useSpecial(move.x, move.y);
+      gilded = gameState.leadGilded > gildedBefore;
+    } else {
+      gameState.useSkullToRemove(move.x, move.y);
+    }
+    // Double/triple lead only loses a layer, so it may still be lead afterwards
+    const leadConverted = gilded || (wasLead && gameState.getCell(move.x, move.y).state === 'gold');
+    const points = gameState.score - before;
+    const completesBoard = gameState.isLevelComplete();
+    const { open, dead } = countOpenCells(gameState);
+    let value = points + open * 0.5 - dead * 6;
+    if (completesBoard) value += 100;
+    return { value, points, linesCleared, leadConverted, completesBoard };
+  });
+}
+
+/**
+ * Best move by evaluateMove. Discard only competes when includeDiscard is set (or nothing else is legal).
+ * @returns {{ move: object, evaluation: object } | null}
+ */
+export function findBestMove(gameState, { includeDiscard = true } = {}) {
+  const moves = getLegalMoves(gameState);
+  let best = null;
+  for (const move of moves) {
+    if (move.type === 'discard' && !includeDiscard && moves.length > 1) continue;
+    const evaluation = evaluateMove(gameState, move);
+    if (!best || evaluation.value > best.evaluation.value) {
+      best = { move, evaluation };
+    }
+  }
+  return best;
+}
+
+function pickRandom(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Strategies for the simulator. chooseMove(gameState, random) returns a move from getLegalMoves().
+ */
+export const STRATEGIES = {
+  /** Any legal placement at random; discard only when stuck */
+  random: {
+    description: 'random legal placement, discard only when stuck',
+    chooseMove(gameState, random) {
+      const moves = getLegalMoves(gameState);
+      const placements = moves.filter((m) => m.type !== 'discard');
+      return placements.length > 0 ? pickRandom(placements, random) : moves[0] ?? null;
+    },
+  },
+
+  /** Best immediate evaluation */
+  greedy: {
+    description: 'best immediate move (points + board openness)',
+    chooseMove(gameState) {
+      return findBestMove(gameState)?.move ?? null;
+    },
+  },
+
+  /**
+   * Greedy shortlist, then prefer moves after which more sampled next runes still have a placement
+   */
+  lookahead: {
+    description: 'greedy shortlist re-ranked by how many sampled next runes stay playable',
+    shortlist: 5,
+    samples: 8,
+    chooseMove(gameState, random) {
+      const ranked = getLegalMoves(gameState)
+        .map((move) => ({ move, evaluation: evaluateMove(gameState, move) }))
+        .sort((a, b) => b.evaluation.value - a.evaluation.value)
+        .slice(0, this.shortlist);
+      if (ranked.length <= 1) return ranked[0]?.move ?? null;
+
+      let best = null;
+      for (const candidate of ranked) {
+        const playable = withTrial(gameState, () => {
+          applyMove(gameState, candidate.move);
+          const options = {
+            wildChance: gameState.wildChance,
+            skullChance: gameState.skullChance,
+            symbols: gameState.level.symbols,
+            colors: gameState.level.colors,
+          };
+          let count = 0;
+          for (let i = 0; i < this.samples; i++) {
+            gameState.currentRune = createRune(gameState.board, random, options);
+            if (gameState.hasValidPlacement()) count++;
+          }
+          return count;
+        });
+        const value = candidate.evaluation.value + playable * 4;
+        if (!best || value > best.value) best = { move: candidate.move, value };
+      }
+      return best.move;
+    },
+  },
+};
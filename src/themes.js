@@ -0,0 +1,293 @@
+/**
+ * Themes: one object drives every color and font the renderer draws (board, cell states, runes,
+ * highlights, score popups, grid lines) and, through CSS variables, the HUD around it.
+ * Built-in themes below; a custom theme is a JSON file with any subset of the classic theme's keys.
+ */
+
+const STORAGE_KEY = 'allthatglitters_custom_theme';
+
+const CLASSIC = {
+  name: 'Classic',
+  font: '"Segoe UI", system-ui, sans-serif', // popups, badges and the HUD
+  board: {
+    background: '#1a1a2e',
+    border: '#4a4a6a',
+    grid: 'rgba(255,255,255,0.08)',
+  },
+  cells: {
+    hole: '#16213e',
+    lead: ['#3d3d5c', '#2e2e48', '#222236'], // plain, double, triple
+    leadRing: 'rgba(148, 163, 184, 0.45)', // inset ring per extra layer
+    gold: '#b8860b',
+    badge: '#1f1f33', // layers left under a rune
+    badgeText: '#cbd5e1',
+  },
+  highlight: {
+    selected: '#fbbf24',
+    skullTarget: '#ef4444',
+    cursor: '#f8fafc',
+    hint: '#22d3ee',
+  },
+  runes: {
+    font: '"Segoe UI Symbol", "Arial Unicode MS", sans-serif', // zodiac glyphs
+    background: null, // tile behind every rune on the board; null for none
+    previewBackground: '#16213e', // behind runes shown off the board (sidebar, Forge, cursor)
+    wild: '#6b7280',
+    wildBorder: 'rgba(255,255,255,0.3)',
+    skull: '#e5e7eb',
+    skullOutline: '#9ca3af',
+    skullEyes: '#374151',
+  },
+  specials: {
+    bomb: '#1f2937',
+    bombOutline: '#9ca3af',
+    fuse: '#d6a75c',
+    glass: '#e5e7eb', // transmuter flask
+    cueOutline: '#111827', // color cue on the transmuter's liquid
+    gold: '#fbbf24', // line rune, philosopher's stone, bomb spark
+    goldDark: '#b8860b',
+    goldGlow: 'rgba(251, 191, 36, 0.35)',
+  },
+  effects: {
+    bomb: 'rgba(239, 68, 68, 0.35)', // cells a bomb would clear
+    gild: 'rgba(251, 191, 36, 0.4)', // cells a line or stone would gild
+    sweep: 'rgba(255, 255, 255, 0.7)', // band running along a cleared row or column
+    shimmer: 'rgba(255, 248, 220, 0.85)', // glint across lead turning gold
+    particles: ['#fbbf24', '#f59e0b', '#fde68a', '#22d3ee', '#f8fafc'], // board complete
+  },
+  popup: {
+    size: 18,
+    fill: '#fbbf24',
+    stroke: '#92400e',
+  },
+  // CSS variables (without the leading --) for the HUD, see :root in style.css
+  ui: {
+    'bg-deep': '#0f0f23',
+    'bg-mid': '#1a1a3e',
+    panel: '#1a1a2e',
+    'panel-2': '#16213e',
+    'canvas-bg': '#0d0d1a',
+    text: '#e2e8f0',
+    'text-soft': '#cbd5e1',
+    'text-muted': '#94a3b8',
+    'text-dim': '#64748b',
+    accent: '#fbbf24',
+    'accent-2': '#f59e0b',
+    highlight: '#7c3aed',
+    control: 'rgba(74, 74, 106, 0.5)',
+    'control-border': 'rgba(74, 74, 106, 0.6)',
+    info: '#22d3ee',
+  },
+};
+
+/**
+ * A theme with only the differences from classic filled in
+ */
+function extendClassic(changes) {
+  return mergeTheme(CLASSIC, changes, '');
+}
+
+export const THEMES = {
+  classic: CLASSIC,
+  parchment: extendClassic({
+    name: 'Parchment',
+    font: 'Georgia, "Times New Roman", serif',
+    board: { background: '#e8dcc0', border: '#8b7355', grid: 'rgba(59, 47, 30, 0.15)' },
+    cells: {
+      hole: '#c9b89a',
+      lead: ['#8b8378', '#6f685f', '#544e47'],
+      leadRing: 'rgba(255, 250, 235, 0.5)',
+      gold: '#d4a017',
+      badge: '#3b3326',
+      badgeText: '#f5ecd7',
+    },
+    highlight: { selected: '#8b4513', skullTarget: '#b91c1c', cursor: '#3b2f1e', hint: '#0f766e' },
+    runes: {
+      font: '"Segoe UI Symbol", Georgia, serif',
+      background: 'rgba(250, 243, 224, 0.85)',
+      previewBackground: '#f5ecd7',
+      wild: '#8d8477',
+      wildBorder: 'rgba(59, 47, 30, 0.4)',
+      skull: '#f5ecd7',
+      skullOutline: '#6b5d45',
+      skullEyes: '#3b2f1e',
+    },
+    specials: { bomb: '#3b3326', bombOutline: '#6b5d45', glass: '#3b2f1e', gold: '#c8961e', goldDark: '#8b6914' },
+    effects: { sweep: 'rgba(139, 69, 19, 0.5)', particles: ['#8b4513', '#c8961e', '#0f766e', '#6b4226'] },
+    popup: { fill: '#8b4513', stroke: '#f5ecd7' },
+    ui: {
+      'bg-deep': '#d9c9a3',
+      'bg-mid': '#efe4c8',
+      panel: '#f5ecd7',
+      'panel-2': '#e8dcc0',
+      'canvas-bg': '#dccfb0',
+      text: '#3b2f1e',
+      'text-soft': '#4a3d28',
+      'text-muted': '#6b5d45',
+      'text-dim': '#8b7b5e',
+      accent: '#8b4513',
+      'accent-2': '#a0522d',
+      highlight: '#6b4226',
+      control: 'rgba(139, 115, 85, 0.25)',
+      'control-border': 'rgba(139, 115, 85, 0.5)',
+      info: '#0f766e',
+    },
+  }),
+  neon: extendClassic({
+    name: 'Neon',
+    board: { background: '#05010f', border: '#ff00e6', grid: 'rgba(0, 255, 255, 0.15)' },
+    cells: {
+      hole: '#0a0420',
+      lead: ['#1d1240', '#150c33', '#0e0826'],
+      leadRing: 'rgba(0, 255, 255, 0.5)',
+      gold: '#ffb700',
+      badge: '#05010f',
+      badgeText: '#00ffff',
+    },
+    highlight: { selected: '#00ffcc', skullTarget: '#ff0055', cursor: '#ffffff', hint: '#00ffff' },
+    runes: { previewBackground: '#0a0420', wild: '#4b4b6b', wildBorder: 'rgba(0, 255, 255, 0.5)' },
+    specials: { gold: '#ffd000', goldGlow: 'rgba(255, 208, 0, 0.35)' },
+    effects: {
+      bomb: 'rgba(255, 0, 85, 0.4)',
+      gild: 'rgba(255, 208, 0, 0.4)',
+      sweep: 'rgba(0, 255, 255, 0.8)',
+      particles: ['#00ffcc', '#ff00e6', '#00ffff', '#ffd000'],
+    },
+    popup: { fill: '#00ffcc', stroke: '#3a0066' },
+    ui: {
+      'bg-deep': '#020008',
+      'bg-mid': '#12002b',
+      panel: '#0b0120',
+      'panel-2': '#14003a',
+      'canvas-bg': '#020008',
+      text: '#f0f0ff',
+      'text-soft': '#d0d0ff',
+      'text-muted': '#a5a5e0',
+      'text-dim': '#6f6fb0',
+      accent: '#00ffcc',
+      'accent-2': '#ff00e6',
+      highlight: '#ff00e6',
+      control: 'rgba(255, 0, 230, 0.2)',
+      'control-border': 'rgba(0, 255, 255, 0.5)',
+      info: '#00ffff',
+    },
+  }),
+  highContrast: extendClassic({
+    name: 'High contrast',
+    board: { background: '#000000', border: '#ffffff', grid: 'rgba(255, 255, 255, 0.35)' },
+    cells: {
+      hole: '#000000',
+      lead: ['#595959', '#404040', '#262626'],
+      leadRing: '#ffffff',
+      gold: '#ffcc00',
+      badge: '#000000',
+      badgeText: '#ffffff',
+    },
+    highlight: { selected: '#00ff00', skullTarget: '#ff0000', cursor: '#ffffff', hint: '#00ffff' },
+    runes: { background: '#000000', previewBackground: '#000000', wild: '#bfbfbf', wildBorder: '#ffffff' },
+    popup: { fill: '#ffffff', stroke: '#000000' },
+    ui: {
+      'bg-deep': '#000000',
+      'bg-mid': '#000000',
+      panel: '#000000',
+      'panel-2': '#0a0a0a',
+      'canvas-bg': '#000000',
+      text: '#ffffff',
+      'text-soft': '#ffffff',
+      'text-muted': '#e0e0e0',
+      'text-dim': '#c0c0c0',
+      accent: '#ffff00',
+      'accent-2': '#ffcc00',
+      highlight: '#00ffff',
+      control: 'rgba(255, 255, 255, 0.15)',
+      'control-border': '#ffffff',
+      info: '#00ffff',
+    },
+  }),
+};
+
+/**
+ * Copy of base with data's values laid over it. Only keys base has are taken, and each must have
+ * the same kind of value (text, number, list or group); runes.background may also be null.
+ * @param {string} path - Where we are in the theme, for error messages ("cells.lead")
+ */
+function mergeTheme(base, data, path) {
+  const merged = Array.isArray(base) ? [...base] : { ...base };
+  for (const key of Object.keys(base)) {
+    const value = data[key];
+    if (value === undefined) continue;
+    const where = path ? `${path}.${key}` : key;
+    const baseValue = base[key];
+    if (baseValue !== null && typeof baseValue === 'object') {
+      const isList = Array.isArray(baseValue);
+      if (!value || typeof value !== 'object' || Array.isArray(value) !== isList) {
+        throw new Error(`${where} should be ${isList ? 'a list' : 'a group of settings'}`);
+      }
+      merged[key] = mergeTheme(baseValue, value, where);
+    } else if (baseValue === null || value === null) {
+      if (value !== null && typeof value !== 'string') throw new Error(`${where} should be a color or null`);
+      merged[key] = value;
+    } else {
+      if (typeof value !== typeof baseValue) throw new Error(`${where} should be a ${typeof baseValue === 'number' ? 'number' : 'color'}`);
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check a theme loaded from a JSON file and fill in what it leaves out from the classic theme
+ * @throws {Error} saying which key is wrong
+ */
+export function parseTheme(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('A theme is a JSON object');
+  const theme = mergeTheme(CLASSIC, data, '');
+  theme.name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 40) : 'Custom';
+  return theme;
+}
+
+/**
+ * The custom theme last loaded from a file, or null
+ */
+export function loadCustomTheme() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    return data ? parseTheme(JSON.parse(data)) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveCustomTheme(theme) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(theme));
+  } catch {
+    // Storage unavailable - the theme lasts for this session only
+  }
+}
+
+/**
+ * Theme for a settings value: a THEMES key or "custom"
+ */
+export function resolveTheme(key) {
+  if (key === 'custom') return loadCustomTheme() ?? CLASSIC;
+  return THEMES[key] ?? CLASSIC;
+}
+
+let currentTheme = CLASSIC;
+
+/** The theme everything is drawn with */
+export function getTheme() {
+  return currentTheme;
+}
+
+/**
+ * Draw with this theme from the next frame on, and point the HUD's CSS variables at it
+ */
+export function applyTheme(theme) {
+  currentTheme = theme;
+  if (typeof document === 'undefined') return;
+  const { style } = document.documentElement;
+  Object.entries(theme.ui).forEach(([name, value]) => style.setProperty(`--${name}`, value));
+  style.setProperty('--font', theme.font);
+}
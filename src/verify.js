@@ -0,0 +1,118 @@
+/**
+ * Score verification: a leaderboard entry carries a proof (the game's config, including its seed,
+ * and the action log), and verifyEntry() re-plays it through GameState to check the claimed result.
+ * DOM-free, so the browser can flag tampered local scores and the leaderboard server can reject them.
+ */
+
+import { GameState, ActionType } from './game.js';
+import { GAME_MODES, DIFFICULTY_LEVELS, getGameConfig } from './constants.js';
+import { applyReplayAction, REPLAY_VERSION } from './replay.js';
+
+/** Slack on the time-mode board timer, for the gap between the timer running out and the game noticing (ms) */
+const TIME_TOLERANCE_MS = 2000;
+
+/** Config fields that change the rules; a proof must match the standard game on all of them */
+const RULE_FIELDS = ['level', 'forgeCapacity', 'startBoard', 'gameMode', 'timePerBoard', 'difficulty', 'undoLimit', 'wildChance', 'skullChance'];
+
+/**
+ * Proof for a finished game, stored on its leaderboard entry
+ * @param {GameState} gameState
+ * @returns {{ version: number, config: object, actions: Array[] }}
+ */
+export function createScoreProof(gameState) {
+  const { config } = gameState.serialize();
+  return { version: REPLAY_VERSION, config, actions: gameState.actionLog.map((a) => [...a]) };
+}
+
+function reject(reason) {
+  return { valid: false, reason };
+}
+
+/** Nothing to re-play, as opposed to a replay that doesn't add up */
+function unverifiable(reason) {
+  return { valid: false, unverifiable: true, reason };
+}
+
+/** No rune can go anywhere and the Forge can't take a discard */
+function isStuck(gameState) {
+  return gameState.isForgeFull() && !gameState.hasValidPlacement();
+}
+
+/**
+ * The proof's config must be a standard game of the entry's mode and difficulty
+ * @returns {string|null} why it isn't
+ */
+function checkConfig(entry, config) {
+  if (entry.mode !== GAME_MODES.strategic && entry.mode !== GAME_MODES.time) return 'Not a leaderboard mode';
+  if (!DIFFICULTY_LEVELS[entry.difficulty]) return 'Unknown difficulty';
+  if (!config || typeof config !== 'object') return 'Missing game config';
+  const standard = new GameState(getGameConfig(entry.mode, entry.difficulty, { seed: config.seed })).serialize().config;
+  const changed = RULE_FIELDS.find((field) => (config[field] ?? null) !== (standard[field] ?? null));
+  if (changed) return `Non-standard ${changed}`;
+  if (config.previewSize !== 0 && config.previewSize !== standard.previewSize) return 'Non-standard previewSize';
+  if ((config.previewSize > 0) !== Boolean(entry.preview)) return 'Preview flag does not match the game';
+  return null;
+}
+
+/**
+ * Re-play an entry's proof and check it against the entry
+ * @param {object} entry - Leaderboard entry with a proof from createScoreProof()
+ * @returns {{ valid: boolean, unverifiable?: boolean, reason?: string, gameState?: GameState }} reason says what
+ *   didn't match; unverifiable is set for entries with no proof, or one from before the current rules
+ */
+export function verifyEntry(entry) {
+  const { proof } = entry ?? {};
+  if (!proof || !Array.isArray(proof.actions)) return unverifiable('No replay recorded');
+  // Rules have changed since: the moves would play out differently now
+  if (proof.version !== REPLAY_VERSION) return unverifiable('Recorded by an older version of the game');
+  const configError = checkConfig(entry, proof.config);
+  if (configError) return reject(configError);
+
+  let gameState;
+  try {
+    gameState = new GameState(proof.config);
+  } catch {
+    return reject('Invalid game config');
+  }
+  const isTimeMode = gameState.gameMode === GAME_MODES.time;
+  const boardTimeMs = gameState.timePerBoard * 1000 + TIME_TOLERANCE_MS;
+  let lastT = 0;
+  let boardStartT = 0;
+  let undoUsed = false;
+
+  for (let i = 0; i < proof.actions.length; i++) {
+    const action = proof.actions[i];
+    const move = `Move ${i + 1}`;
+    if (!Array.isArray(action)) return reject(`${move} is malformed`);
+    const [type, t] = action;
+    if (!Number.isFinite(t) || t < lastT) return reject(`${move} is out of order`);
+    if (type !== ActionType.CONTINUE && isStuck(gameState)) return reject(`${move} comes after the game was over`);
+    if (isTimeMode && type !== ActionType.CONTINUE && t - boardStartT > boardTimeMs) {
+      return reject(`${move} comes after board ${gameState.board} ran out of time`);
+    }
+    if (!applyReplayAction(gameState, action)) return reject(`${move} is not a legal move`);
+    if (type === ActionType.CONTINUE) boardStartT = t;
+    if (type === ActionType.UNDO) undoUsed = true;
+    lastT = t;
+  }
+
+  // Strategic games only end when the board is stuck; time games may also end on the clock
+  if (!isTimeMode && !isStuck(gameState)) return reject('The game is not over');
+  if (gameState.score !== entry.score) return reject(`Score is ${gameState.score}, not ${entry.score}`);
+  if (entry.board !== undefined && gameState.board !== entry.board) {
+    return reject(`Game ended on board ${gameState.board}, not ${entry.board}`);
+  }
+  if (entry.boardsCleared !== undefined && gameState.boardsCleared !== entry.boardsCleared) {
+    return reject(`${gameState.boardsCleared} boards were cleared, not ${entry.boardsCleared}`);
+  }
+  if (undoUsed !== Boolean(entry.undoUsed)) return reject('Undo flag does not match the game');
+  if (entry.maxStreak !== undefined && gameState.maxPlacementStreak !== entry.maxStreak) {
+    return reject(`Longest streak was ${gameState.maxPlacementStreak}, not ${entry.maxStreak}`);
+  }
+  // The game ends with the last move, or on a time board with the clock running out after it
+  const endT = Math.max(lastT, isTimeMode ? boardStartT + gameState.timePerBoard * 1000 : 0) + TIME_TOLERANCE_MS;
+  if (entry.seconds !== undefined && (entry.seconds < Math.floor(lastT / 1000) || entry.seconds > endT / 1000)) {
+    return reject(`Play time of ${entry.seconds}s does not match the moves`);
+  }
+  return { valid: true, gameState };
+}
@@ -0,0 +1,165 @@
+/**
+ * Replay viewer screen - plays a recorded game back through the normal Renderer
+ */
+
+import { Renderer } from './renderer.js';
+import { ReplayPlayer, REPLAY_SPEEDS, loadReplays } from './replay.js';
+import { ActionType } from './game.js';
+import { GAME_MODES, DIFFICULTY_LEVELS } from './constants.js';
+
+const ACTION_LABELS = {
+  [ActionType.PLACE]: 'Place',
+  [ActionType.DISCARD]: 'Discard',
+  [ActionType.SKULL]: 'Skull',
+  [ActionType.SPECIAL]: 'Special',
+  [ActionType.CONTINUE]: 'Next board',
+  [ActionType.UNDO]: 'Undo',
+  [ActionType.REDO]: 'Redo',
+};
+
+let activeViewer = null;
+
+function describeReplay(replay) {
+  const mode = replay.config.gameMode === GAME_MODES.time ? 'Time' : 'Strategic';
+  const difficulty = DIFFICULTY_LEVELS[replay.config.difficulty]?.label ?? '';
+  return [mode, difficulty].filter(Boolean).join(' · ');
+}
+
+/**
+ * Open the replay viewer over whatever screen is showing
+ * @param {object} replay - From createReplay()
+ */
+export function openReplayViewer(replay) {
+  activeViewer?.close();
+
+  const screenEl = document.getElementById('replay-screen');
+  const canvas = document.getElementById('replay-canvas');
+  const scoreEl = document.getElementById('replay-score');
+  const boardEl = document.getElementById('replay-board');
+  const stepEl = document.getElementById('replay-step');
+  const actionEl = document.getElementById('replay-action');
+  const playBtn = document.getElementById('replay-play-btn');
+  const backBtn = document.getElementById('replay-back-btn');
+  const forwardBtn = document.getElementById('replay-forward-btn');
+  const speedSelect = document.getElementById('replay-speed');
+  const scrubber = document.getElementById('replay-scrubber');
+
+  document.getElementById('replay-title').textContent = describeReplay(replay);
+  document.getElementById('replay-seed').textContent = replay.config.seed;
+
+  let renderer = null;
+  let rafId = null;
+  let prevScore = null;
+
+  const player = new ReplayPlayer(replay, (action) => {
+    // Stepping back rebuilds the game, so point the renderer at the new state
+    renderer.gameState = player.gameState;
+    if (action?.[0] === ActionType.PLACE && prevScore !== null) {
+      const gained = player.gameState.score - prevScore;
+      if (gained > 0) renderer.addScorePopup(action[2], action[3], gained);
+    }
+    prevScore = player.gameState.score;
+    updateControls(action);
+  });
+  prevScore = player.gameState.score;
+  renderer = new Renderer(canvas, player.gameState);
+
+  function updateControls(action) {
+    const { gameState } = player;
+    scoreEl.textContent = gameState.score;
+    boardEl.textContent = gameState.board;
+    stepEl.textContent = `${player.index} / ${player.length}`;
+    if (action) {
+      actionEl.textContent = ACTION_LABELS[action[0]] ?? '';
+    } else if (player.index === 0) {
+      actionEl.textContent = 'Start';
+    }
+    playBtn.textContent = player.playing ? '⏸ Pause' : '▶ Play';
+    backBtn.disabled = player.index <= 0;
+    forwardBtn.disabled = player.isAtEnd();
+    scrubber.max = String(player.length);
+    scrubber.value = String(player.index);
+  }
+
+  speedSelect.innerHTML = '';
+  REPLAY_SPEEDS.forEach((speed) => {
+    const option = document.createElement('option');
+    option.value = String(speed);
+    option.textContent = `${speed}×`;
+    option.selected = speed === 1;
+    speedSelect.appendChild(option);
+  });
+
+  playBtn.onclick = () => (player.playing ? player.pause() : player.play());
+  backBtn.onclick = () => {
+    player.pause();
+    player.stepBack();
+  };
+  forwardBtn.onclick = () => {
+    player.pause();
+    player.stepForward();
+  };
+  speedSelect.onchange = () => player.setSpeed(Number(speedSelect.value));
+  scrubber.oninput = () => {
+    player.pause();
+    player.seek(Number(scrubber.value));
+  };
+  document.getElementById('replay-close-btn').onclick = () => close();
+
+  function frame() {
+    renderer.render();
+    rafId = requestAnimationFrame(frame);
+  }
+
+  function close() {
+    player.destroy();
+    cancelAnimationFrame(rafId);
+    window.removeEventListener('resize', resize);
+    screenEl.hidden = true;
+    activeViewer = null;
+  }
+
+  function resize() {
+    renderer.resize();
+    renderer.render();
+  }
+
+  screenEl.hidden = false;
+  window.addEventListener('resize', resize);
+  resize();
+  updateControls(null);
+  frame();
+
+  activeViewer = { close };
+  return activeViewer;
+}
+
+/**
+ * Fill the saved-replays list (home screen) with "Watch" entries
+ */
+export function renderReplayList(listEl) {
+  const replays = loadReplays();
+  listEl.innerHTML = '';
+  if (replays.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'No replays yet - finish a game to record one';
+    listEl.appendChild(li);
+    return;
+  }
+  replays.forEach((replay) => {
+    const li = document.createElement('li');
+    const info = document.createElement('span');
+    info.className = 'replay-list-info';
+    const date = new Date(replay.date);
+    info.textContent = `${date.toLocaleDateString()} · ${describeReplay(replay)} · ${replay.score} pts`;
+    const watchBtn = document.createElement('button');
+    watchBtn.type = 'button';
+    watchBtn.className = 'leaderboard-page-btn';
+    watchBtn.textContent = 'Watch';
+    watchBtn.onclick = () => openReplayViewer(replay);
+    li.appendChild(info);
+    li.appendChild(watchBtn);
+    listEl.appendChild(li);
+  });
+}